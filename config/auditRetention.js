@@ -0,0 +1,29 @@
+// Activity log retention. Rules are checked in order and the first match
+// decides how long an entry is kept; `days: null` keeps it forever. A rule may
+// match on category, severity (a value or a list) and action, where the
+// action supports `*` wildcards. Override with AUDIT_RETENTION_RULES (JSON).
+const YEAR = 365;
+
+const DEFAULT_RULES = [
+  { category: 'security', days: 7 * YEAR },
+  { severity: ['high', 'critical'], days: 7 * YEAR },
+  { category: 'payment', days: 7 * YEAR },
+  { action: '*_viewed', days: 90 },
+  { days: 2 * YEAR }
+];
+
+const loadRules = () => {
+  if (!process.env.AUDIT_RETENTION_RULES) {
+    return DEFAULT_RULES;
+  }
+
+  const rules = JSON.parse(process.env.AUDIT_RETENTION_RULES);
+  if (!Array.isArray(rules) || rules.some(rule => rule.days !== null && !(rule.days > 0))) {
+    throw new Error('AUDIT_RETENTION_RULES must be an array of rules with positive days or null');
+  }
+  return rules;
+};
+
+module.exports = {
+  retentionRules: loadRules()
+};
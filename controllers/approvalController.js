@@ -0,0 +1,184 @@
+const ApprovalRequest = require('../models/ApprovalRequest');
+const {
+  approvalFilter,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  addComment
+} = require('../services/approvalService');
+
+const populateApproval = (query) => {
+  return query
+    .populate('requestedBy', 'name role')
+    .populate('decidedBy', 'name role')
+    .populate('comments.author', 'name role')
+    .populate('devices', 'deviceId imeiNumber lockStatus.isLocked');
+};
+
+const sendServiceError = (res, error, context, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// List approval requests for the current user's shop
+const getApprovals = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', operation = '' } = req.query;
+
+    const filter = approvalFilter(req.user);
+    if (status) {
+      filter.status = status;
+    }
+    if (operation) {
+      filter.operation = operation;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const approvals = await populateApproval(ApprovalRequest.find(filter))
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await ApprovalRequest.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        approvals,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Get approvals', 'Server error while fetching approval requests');
+  }
+};
+
+const getApprovalById = async (req, res) => {
+  try {
+    const approval = await populateApproval(
+      ApprovalRequest.findOne(approvalFilter(req.user, { _id: req.params.approvalId }))
+    );
+
+    if (!approval) {
+      return res.status(404).json({
+        success: false,
+        message: 'Approval request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { approval }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Get approval', 'Server error while fetching approval request');
+  }
+};
+
+// Approve and run the requested operation
+const approveApproval = async (req, res) => {
+  try {
+    const approval = await approveRequest({
+      io: req.io,
+      approvalId: req.params.approvalId,
+      user: req.user,
+      comment: req.body.comment,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Request approved. ${approval.result.successful.length} devices updated, ${approval.result.failed.length} failed.`,
+      data: { approval }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Approve request', 'Server error while approving request');
+  }
+};
+
+const rejectApproval = async (req, res) => {
+  try {
+    const approval = await rejectRequest({
+      io: req.io,
+      approvalId: req.params.approvalId,
+      user: req.user,
+      comment: req.body.comment,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Request rejected',
+      data: { approval }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Reject request', 'Server error while rejecting request');
+  }
+};
+
+const cancelApproval = async (req, res) => {
+  try {
+    const approval = await cancelRequest({
+      io: req.io,
+      approvalId: req.params.approvalId,
+      user: req.user,
+      comment: req.body.comment,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Request cancelled',
+      data: { approval }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel request', 'Server error while cancelling request');
+  }
+};
+
+const commentOnApproval = async (req, res) => {
+  try {
+    const approval = await addComment({
+      approvalId: req.params.approvalId,
+      user: req.user,
+      text: req.body.comment,
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: { comments: approval.comments }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Comment on request', 'Server error while adding comment');
+  }
+};
+
+module.exports = {
+  getApprovals,
+  getApprovalById,
+  approveApproval,
+  rejectApproval,
+  cancelApproval,
+  commentOnApproval
+};
@@ -1,7 +1,8 @@
 const User = require('../models/User');
 const Shop = require('../models/Shop');
-const ActivityLog = require('../models/ActivityLog');
-const { generateToken } = require('../middleware/auth');
+const Session = require('../models/Session');
+const { recordActivity } = require('../services/auditService');
+const { createSession, rotateSession, disconnectSessions } = require('../services/sessionService');
 
 // Register new shop owner (only shop owners can register on web platform)
 const register = async (req, res) => {
@@ -94,20 +95,21 @@ const register = async (req, res) => {
     shopOwner.createdBy = shopOwner._id;
     await shopOwner.save();
 
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: shopOwner._id,
-    //   shop: shop._id,
-    //   action: 'shop_created',
-    //   description: `New shop owner registered: ${name} with shop: ${shopName}`,
-    //   category: 'shop',
-    //   performedBy: shopOwner._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent')
-    // });
-
-    // Generate token
-    const token = generateToken(shopOwner._id);
+    // Log activity
+    await recordActivity({
+      user: shopOwner._id,
+      shop: shop._id,
+      action: 'shop_created',
+      description: `New shop owner registered: ${name} with shop: ${shopName}`,
+      performedBy: shopOwner._id,
+      req
+    });
+
+    // Start session
+    const tokens = await createSession(shopOwner, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     res.status(201).json({
       success: true,
@@ -126,7 +128,7 @@ const register = async (req, res) => {
             description: shop.description
           }
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -168,6 +170,15 @@ const login = async (req, res) => {
     // Verify password
     const isPasswordValid = await user.comparePassword(password);
     if (!isPasswordValid) {
+      await recordActivity({
+        user: user._id,
+        shop: user.shop,
+        action: 'login_failed',
+        description: `Failed login attempt for ${user.name} (${identifier})`,
+        performedBy: user._id,
+        req
+      });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -179,33 +190,27 @@ const login = async (req, res) => {
     await user.save();
 
     // Log activity
-    const logData = {
+    await recordActivity({
       user: user._id,
+      shop: user.shop,
       action: 'user_login',
       description: `User logged in: ${user.name} (${user.phone || user.email})`,
-      category: 'user',
       performedBy: user._id,
+      req
+    });
+
+    // Start session
+    const tokens = await createSession(user, {
       ipAddress: req.ip,
       userAgent: req.get('User-Agent')
-    };
-
-    // Only add shop if user has one
-    if (user.shop) {
-      logData.shop = user.shop._id;
-    }
-
-    // Temporarily disable ActivityLog to fix hanging issue
-    // await ActivityLog.createLog(logData);
-
-    // Generate token
-    const token = generateToken(user._id);
+    });
 
     res.json({
       success: true,
       message: 'Login successful',
       data: {
         user,
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -256,17 +261,15 @@ const updateProfile = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('shop');
 
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: user._id,
-    //   shop: user.shop?._id,
-    //   action: 'user_updated',
-    //   description: `User profile updated: ${user.name}`,
-    //   category: 'user',
-    //   performedBy: user._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent')
-    // });
+    // Log activity
+    await recordActivity({
+      user: user._id,
+      shop: user.shop,
+      action: 'user_updated',
+      description: `User profile updated: ${user.name}`,
+      performedBy: user._id,
+      req
+    });
 
     res.json({
       success: true,
@@ -311,17 +314,19 @@ const changePassword = async (req, res) => {
     user.password = newPassword;
     await user.save();
 
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: user._id,
-    //   shop: user.shop,
-    //   action: 'user_updated',
-    //   description: 'Password changed',
-    //   category: 'user',
-    //   performedBy: user._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent')
-    // });
+    // Sign out every other session; the current one stays logged in
+    await Session.revokeAllForUser(user._id, 'password_changed', req.authSession._id);
+    disconnectSessions(req.io, { userId: user._id, exceptSessionId: req.authSession._id });
+
+    // Log activity
+    await recordActivity({
+      user: user._id,
+      shop: user.shop,
+      action: 'password_changed',
+      description: 'Password changed; other sessions signed out',
+      performedBy: user._id,
+      req
+    });
 
     res.json({
       success: true,
@@ -337,20 +342,53 @@ const changePassword = async (req, res) => {
   }
 };
 
+// Exchange refresh token for a new token pair
+const refreshToken = async (req, res) => {
+  try {
+    const { tokens } = await rotateSession(req.body.refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent'),
+      io: req.io
+    });
+
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: tokens
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while refreshing token',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 // Logout user
 const logout = async (req, res) => {
   try {
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: req.user._id,
-    //   shop: req.user.shop?._id,
-    //   action: 'user_logout',
-    //   description: `User logged out: ${req.user.name}`,
-    //   category: 'user',
-    //   performedBy: req.user._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent')
-    // });
+    // Revoke the current session
+    await req.authSession.revoke('logout');
+    disconnectSessions(req.io, { sessionId: req.authSession._id });
+
+    // Log activity
+    await recordActivity({
+      user: req.user._id,
+      shop: req.user.shop,
+      action: 'user_logout',
+      description: `User logged out: ${req.user.name}`,
+      performedBy: req.user._id,
+      req
+    });
 
     res.json({
       success: true,
@@ -366,11 +404,43 @@ const logout = async (req, res) => {
   }
 };
 
+// Logout from all devices
+const logoutAll = async (req, res) => {
+  try {
+    const result = await Session.revokeAllForUser(req.user._id, 'logout_all');
+    disconnectSessions(req.io, { userId: req.user._id });
+
+    await recordActivity({
+      user: req.user._id,
+      shop: req.user.shop,
+      action: 'user_logout_all',
+      description: `User logged out from all devices: ${req.user.name} (${result.modifiedCount} sessions)`,
+      performedBy: req.user._id,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Logged out from all devices',
+      data: { revokedSessions: result.modifiedCount }
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  refreshToken,
+  logout,
+  logoutAll
 };
@@ -1,7 +1,80 @@
 const Device = require('../models/Device');
 const User = require('../models/User');
-const Shop = require('../models/Shop');
-const ActivityLog = require('../models/ActivityLog');
+const { recordActivity } = require('../services/auditService');
+const DeviceCommand = require('../models/DeviceCommand');
+const { queueCommand, disconnectDevice } = require('../services/deviceCommandService');
+const { applyLock, applyUnlock, isAlreadyLocked, runBulkOperation } = require('../services/deviceLockService');
+const { findShopPolicy, findPolicyForUser } = require('../services/lockPolicyService');
+const { createApprovalRequest } = require('../services/approvalService');
+const {
+  scheduleLockAction,
+  grantTemporaryUnlock,
+  cancelLockAction,
+  cancelTemporaryUnlock
+} = require('../services/lockScheduleService');
+const { issueOfflineUnlockCode } = require('../services/offlineUnlockService');
+const OfflineUnlockCode = require('../models/OfflineUnlockCode');
+const { getDeviceTrack } = require('../services/locationService');
+const { assignDeviceGeofences } = require('../services/geofenceService');
+const { publishDeviceRegistered } = require('../services/eventBus');
+
+// Run a bulk lock or unlock now, except on devices of shops that require
+// approval for it: those are queued as one approval request per shop. A lock
+// policy only applies to devices of the shop it belongs to.
+const runOrQueueBulk = async (req, operation, devices, { reason, policy } = {}) => {
+  const locking = operation === 'lock';
+  const approvalOperation = `bulk_${operation}`;
+  const immediate = [];
+  const queuedByShop = new Map();
+  const skipped = [];
+
+  const skip = (device, reason) => {
+    skipped.push({ deviceId: device._id, deviceName: device.deviceId, reason });
+  };
+
+  devices.forEach(device => {
+    if (policy && policy.shop.toString() !== device.shop._id.toString()) {
+      skip(device, 'Lock policy belongs to another shop');
+    } else if (!device.shop.requiresApproval(approvalOperation)) {
+      immediate.push(device);
+    } else if (locking ? isAlreadyLocked(device, policy) : !device.lockStatus.isLocked) {
+      skip(device, locking ? 'Already locked' : 'Not locked');
+    } else {
+      const shopId = device.shop._id.toString();
+      queuedByShop.set(shopId, [...(queuedByShop.get(shopId) || []), device]);
+    }
+  });
+
+  const results = immediate.length > 0
+    ? await runBulkOperation(req.io, operation, immediate, { reason, policy, performedBy: req.user._id, req })
+    : { successful: [], failed: [] };
+  results.failed.push(...skipped);
+  results.pendingApprovals = [];
+
+  for (const shopDevices of queuedByShop.values()) {
+    try {
+      results.pendingApprovals.push(await createApprovalRequest({
+        io: req.io,
+        shop: shopDevices[0].shop,
+        operation: approvalOperation,
+        devices: shopDevices,
+        reason,
+        policy,
+        comment: req.body.comment,
+        requestedBy: req.user,
+        req
+      }));
+    } catch (error) {
+      shopDevices.forEach(device => {
+        results.failed.push({ deviceId: device._id, deviceName: device.deviceId, reason: error.message });
+      });
+    }
+  }
+
+  return results;
+};
+
+const pendingCount = (results) => results.pendingApprovals.reduce((sum, approval) => sum + approval.devices.length, 0);
 
 // Get all devices with pagination and filtering
 const getDevices = async (req, res) => {
@@ -20,7 +93,7 @@ const getDevices = async (req, res) => {
     let filter = {};
 
     // Apply access control
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       filter.user = currentUser._id;
@@ -100,7 +173,7 @@ const getDeviceById = async (req, res) => {
     let filter = { _id: deviceId };
 
     // Apply access control
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       filter.user = currentUser._id;
@@ -109,7 +182,11 @@ const getDeviceById = async (req, res) => {
     const device = await Device.findOne(filter)
       .populate('user', 'name phone email emiDetails')
       .populate('shop', 'name')
-      .populate('lockStatus.lockedBy', 'name');
+      .populate('lockStatus.lockedBy', 'name')
+      .populate('lockStatus.policy', 'name level')
+      .populate('lockStatus.scheduledActions.createdBy', 'name')
+      .populate('lockStatus.scheduledActions.cancelledBy', 'name')
+      .populate('geofences', 'name shape isActive lockOnExit');
 
     if (!device) {
       return res.status(404).json({
@@ -148,7 +225,7 @@ const registerDevice = async (req, res) => {
     }
 
     // Check access permissions
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       if (user.shop._id.toString() !== currentUser.shop._id.toString()) {
         return res.status(403).json({
           success: false,
@@ -191,6 +268,10 @@ const registerDevice = async (req, res) => {
     };
 
     const device = new Device(deviceData);
+
+    // Enrollment secret for the locker app on this handset
+    const deviceSecret = device.issueCredentials();
+
     await device.save();
 
     // Update user's device information
@@ -203,23 +284,26 @@ const registerDevice = async (req, res) => {
       await user.shop.updateStatistics();
     }
 
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: userId,
-    //   shop: user.shop._id,
-    //   device: device._id,
-    //   action: 'device_registered',
-    //   description: `Device registered: ${deviceId}`,
-    //   category: 'device',
-    //   performedBy: currentUser._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent')
-    // });
+    publishDeviceRegistered(req.io, device);
+
+    // Log activity
+    await recordActivity({
+      user: userId,
+      shop: user.shop._id,
+      device: device._id,
+      action: 'device_registered',
+      description: `Device registered: ${deviceId}`,
+      performedBy: currentUser._id,
+      req
+    });
 
     res.status(201).json({
       success: true,
       message: 'Device registered successfully',
-      data: { device }
+      data: {
+        device,
+        deviceSecret // Shown once; provision it into the locker app
+      }
     });
   } catch (error) {
     console.error('Register device error:', error);
@@ -235,12 +319,12 @@ const registerDevice = async (req, res) => {
 const lockDevice = async (req, res) => {
   try {
     const { deviceId } = req.params;
-    const { reason = 'emi_default' } = req.body;
+    const { reason = 'emi_default', comment, policyId } = req.body;
     const currentUser = req.user;
 
     // Find device with access control
     let filter = { _id: deviceId };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       return res.status(403).json({
@@ -257,43 +341,58 @@ const lockDevice = async (req, res) => {
       });
     }
 
-    if (device.lockStatus.isLocked) {
+    // A locked device can be moved to another policy, e.g. from a reminder to a full lock
+    const policy = policyId ? await findShopPolicy(device.shop._id, policyId) : undefined;
+    const wasLocked = device.lockStatus.isLocked;
+
+    if (isAlreadyLocked(device, policy)) {
       return res.status(400).json({
         success: false,
         message: 'Device is already locked'
       });
     }
 
-    // Lock the device
-    await device.lockDevice(reason, currentUser._id);
+    // Shops with dual control queue the lock for a second user's approval
+    if (device.shop.requiresApproval('lock')) {
+      const approval = await createApprovalRequest({
+        io: req.io,
+        shop: device.shop,
+        operation: 'lock',
+        devices: [device],
+        reason,
+        policy,
+        comment,
+        requestedBy: currentUser,
+        req
+      });
 
-    // Update user's device status
-    const user = device.user;
-    user.deviceStatus.isLocked = true;
-    user.deviceStatus.lastLockedAt = new Date();
-    user.deviceStatus.lockReason = reason;
-    await user.save();
+      return res.status(202).json({
+        success: true,
+        message: 'Lock request submitted for approval',
+        data: { approval }
+      });
+    }
+
+    // Lock the device and queue the lock for the handset
+    await applyLock(req.io, device, { reason, policy, performedBy: currentUser._id });
+
+    // Log activity
+    await recordActivity({
+      user: device.user._id,
+      shop: device.shop._id,
+      device: device._id,
+      action: 'device_locked',
+      description: wasLocked
+        ? `Device lock level changed: ${device.deviceId} (Level: ${device.lockStatus.level})`
+        : `Device locked: ${device.deviceId} (Reason: ${reason}, Level: ${device.lockStatus.level})`,
+      performedBy: currentUser._id,
+      req,
+      metadata: {
+        policy: device.lockStatus.policy,
+        level: device.lockStatus.level
+      }
+    });
 
-    // Update shop statistics
-    await device.shop.updateStatistics();
-
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: device.user._id,
-    //   shop: device.shop._id,
-    //   device: device._id,
-    //   action: 'device_locked',
-    //   description: `Device locked: ${device.deviceId} (Reason: ${reason})`,
-    //   category: 'device',
-    //   performedBy: currentUser._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent'),
-    //   severity: 'medium'
-    // });
-
-    // Here you would typically send a real-time notification to the device
-    // For now, we'll just emit a socket event (to be implemented with Socket.IO)
-    
     // Prepare clean response data to avoid circular references
     const responseDevice = {
       _id: device._id,
@@ -303,7 +402,10 @@ const lockDevice = async (req, res) => {
         isLocked: device.lockStatus.isLocked,
         lockedAt: device.lockStatus.lockedAt,
         lockReason: device.lockStatus.lockReason,
-        lockedBy: device.lockStatus.lockedBy
+        lockedBy: device.lockStatus.lockedBy,
+        policy: device.lockStatus.policy,
+        level: device.lockStatus.level,
+        syncStatus: device.lockStatus.syncStatus
       },
       connectionStatus: device.connectionStatus,
       security: device.security,
@@ -328,6 +430,13 @@ const lockDevice = async (req, res) => {
       data: { device: responseDevice }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Lock device error:', error);
     res.status(500).json({
       success: false,
@@ -345,7 +454,7 @@ const unlockDevice = async (req, res) => {
 
     // Find device with access control
     let filter = { _id: deviceId };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       return res.status(403).json({
@@ -369,32 +478,37 @@ const unlockDevice = async (req, res) => {
       });
     }
 
-    // Unlock the device
-    await device.unlockDevice();
+    if (device.shop.requiresApproval('unlock')) {
+      const approval = await createApprovalRequest({
+        io: req.io,
+        shop: device.shop,
+        operation: 'unlock',
+        devices: [device],
+        comment: req.body.comment,
+        requestedBy: currentUser,
+        req
+      });
 
-    // Update user's device status
-    const user = device.user;
-    user.deviceStatus.isLocked = false;
-    user.deviceStatus.lastUnlockedAt = new Date();
-    user.deviceStatus.lockReason = null;
-    await user.save();
+      return res.status(202).json({
+        success: true,
+        message: 'Unlock request submitted for approval',
+        data: { approval }
+      });
+    }
 
-    // Update shop statistics
-    await device.shop.updateStatistics();
-
-    // Log activity - Temporarily disabled
-    // await ActivityLog.createLog({
-    //   user: device.user._id,
-    //   shop: device.shop._id,
-    //   device: device._id,
-    //   action: 'device_unlocked',
-    //   description: `Device unlocked: ${device.deviceId}`,
-    //   category: 'device',
-    //   performedBy: currentUser._id,
-    //   ipAddress: req.ip,
-    //   userAgent: req.get('User-Agent'),
-    //   severity: 'low'
-    // });
+    // Unlock the device and queue the unlock for the handset
+    await applyUnlock(req.io, device, { performedBy: currentUser._id });
+
+    // Log activity
+    await recordActivity({
+      user: device.user._id,
+      shop: device.shop._id,
+      device: device._id,
+      action: 'device_unlocked',
+      description: `Device unlocked: ${device.deviceId}`,
+      performedBy: currentUser._id,
+      req
+    });
 
     // Prepare clean response data to avoid circular references
     const responseDevice = {
@@ -404,7 +518,8 @@ const unlockDevice = async (req, res) => {
       lockStatus: {
         isLocked: device.lockStatus.isLocked,
         unlockedAt: device.lockStatus.unlockedAt,
-        lockReason: device.lockStatus.lockReason
+        lockReason: device.lockStatus.lockReason,
+        syncStatus: device.lockStatus.syncStatus
       },
       connectionStatus: device.connectionStatus,
       security: device.security,
@@ -429,6 +544,13 @@ const unlockDevice = async (req, res) => {
       data: { device: responseDevice }
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Unlock device error:', error);
     res.status(500).json({
       success: false,
@@ -441,7 +563,7 @@ const unlockDevice = async (req, res) => {
 // Bulk lock devices
 const bulkLockDevices = async (req, res) => {
   try {
-    const { deviceIds, reason = 'bulk_operation' } = req.body;
+    const { deviceIds, reason = 'manual_lock', policyId } = req.body;
     const currentUser = req.user;
 
     if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
@@ -460,7 +582,7 @@ const bulkLockDevices = async (req, res) => {
     }
 
     let filter = { _id: { $in: deviceIds } };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     }
 
@@ -473,74 +595,24 @@ const bulkLockDevices = async (req, res) => {
       });
     }
 
-    const results = {
-      successful: [],
-      failed: []
-    };
+    const policy = policyId ? await findPolicyForUser(currentUser, policyId) : undefined;
 
-    // Process each device
-    for (const device of devices) {
-      try {
-        if (!device.lockStatus.isLocked) {
-          await device.lockDevice(reason, currentUser._id);
-
-          // Update user's device status
-          const user = device.user;
-          user.deviceStatus.isLocked = true;
-          user.deviceStatus.lastLockedAt = new Date();
-          user.deviceStatus.lockReason = reason;
-          await user.save();
-
-          results.successful.push({
-            deviceId: device._id,
-            deviceName: device.deviceId,
-            userName: user.name
-          });
-
-          // Log activity - Temporarily disabled
-          // await ActivityLog.createLog({
-          //   user: device.user._id,
-          //   shop: device.shop._id,
-          //   device: device._id,
-          //   action: 'bulk_lock',
-          //   description: `Device bulk locked: ${device.deviceId}`,
-          //   category: 'device',
-          //   performedBy: currentUser._id,
-          //   ipAddress: req.ip,
-          //   userAgent: req.get('User-Agent'),
-          //   severity: 'medium'
-          // });
-        } else {
-          results.failed.push({
-            deviceId: device._id,
-            deviceName: device.deviceId,
-            reason: 'Already locked'
-          });
-        }
-      } catch (error) {
-        results.failed.push({
-          deviceId: device._id,
-          deviceName: device.deviceId,
-          reason: error.message
-        });
-      }
-    }
-
-    // Update shop statistics for affected shops
-    const shopIds = [...new Set(devices.map(d => d.shop._id.toString()))];
-    for (const shopId of shopIds) {
-      const shop = await Shop.findById(shopId);
-      if (shop) {
-        await shop.updateStatistics();
-      }
-    }
+    const results = await runOrQueueBulk(req, 'lock', devices, { reason, policy });
 
     res.json({
       success: true,
-      message: `Bulk lock operation completed. ${results.successful.length} devices locked, ${results.failed.length} failed.`,
+      message: `Bulk lock operation completed. ${results.successful.length} devices locked, ${results.failed.length} failed.` +
+        (results.pendingApprovals.length > 0 ? ` ${pendingCount(results)} devices awaiting approval.` : ''),
       data: results
     });
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Bulk lock devices error:', error);
     res.status(500).json({
       success: false,
@@ -572,7 +644,7 @@ const bulkUnlockDevices = async (req, res) => {
     }
 
     let filter = { _id: { $in: deviceIds } };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     }
 
@@ -585,78 +657,501 @@ const bulkUnlockDevices = async (req, res) => {
       });
     }
 
-    const results = {
-      successful: [],
-      failed: []
-    };
+    const results = await runOrQueueBulk(req, 'unlock', devices);
+
+    res.json({
+      success: true,
+      message: `Bulk unlock operation completed. ${results.successful.length} devices unlocked, ${results.failed.length} failed.` +
+        (results.pendingApprovals.length > 0 ? ` ${pendingCount(results)} devices awaiting approval.` : ''),
+      data: results
+    });
+  } catch (error) {
+    console.error('Bulk unlock devices error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during bulk unlock operation',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const sendServiceError = (res, error, context, fallbackMessage) => {
+  if (error.status) {
+    return res.status(error.status).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+// Schedule a lock or unlock for later
+const scheduleDeviceAction = async (req, res) => {
+  try {
+    const { action, runAt, reason, policyId, condition, note } = req.body;
+
+    const { device, action: scheduled } = await scheduleLockAction({
+      deviceId: req.params.deviceId,
+      action,
+      runAt,
+      reason,
+      policyId,
+      condition,
+      note,
+      user: req.user,
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${action === 'lock' ? 'Lock' : 'Unlock'} scheduled for ${scheduled.runAt.toISOString()}`,
+      data: {
+        scheduledAction: scheduled,
+        lockStatus: device.lockStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Schedule device action', 'Server error while scheduling device action');
+  }
+};
+
+// Cancel a pending scheduled action
+const cancelDeviceAction = async (req, res) => {
+  try {
+    const { device, action: cancelled } = await cancelLockAction({
+      deviceId: req.params.deviceId,
+      actionId: req.params.actionId,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Scheduled action cancelled',
+      data: {
+        scheduledAction: cancelled,
+        lockStatus: device.lockStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel device action', 'Server error while cancelling scheduled action');
+  }
+};
+
+// Unlock a device for a limited time, then relock it
+const temporarilyUnlockDevice = async (req, res) => {
+  try {
+    const { hours, condition, note } = req.body;
+
+    const { device, action: relock } = await grantTemporaryUnlock({
+      io: req.io,
+      deviceId: req.params.deviceId,
+      hours,
+      condition,
+      note,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: `Device unlocked until ${relock.runAt.toISOString()}`,
+      data: {
+        scheduledAction: relock,
+        lockStatus: device.lockStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Temporary unlock', 'Server error while unlocking device');
+  }
+};
+
+// Drop the relock of a temporary unlock so the device stays unlocked
+const endTemporaryUnlock = async (req, res) => {
+  try {
+    const { device, action: cancelled } = await cancelTemporaryUnlock({
+      deviceId: req.params.deviceId,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Relock cancelled; device stays unlocked',
+      data: {
+        scheduledAction: cancelled,
+        lockStatus: device.lockStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Cancel temporary unlock', 'Server error while cancelling temporary unlock');
+  }
+};
+
+// Issue a one-time code the customer enters on a handset that cannot be
+// reached, e.g. after paying at the counter
+const createOfflineUnlockCode = async (req, res) => {
+  try {
+    const { paymentId, note } = req.body;
+
+    const { device, code, record } = await issueOfflineUnlockCode({
+      io: req.io,
+      deviceId: req.params.deviceId,
+      paymentId,
+      note,
+      user: req.user,
+      req
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Offline unlock code issued',
+      data: {
+        code, // Shown once; read it to the customer
+        expiresAt: record.expiresAt,
+        counter: record.counter,
+        lockStatus: device.lockStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Offline unlock code', 'Server error while issuing offline unlock code');
+  }
+};
+
+// Offline unlock codes issued for a device, newest first
+const getOfflineUnlockCodes = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+    const currentUser = req.user;
+
+    let filter = { _id: deviceId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const codes = await OfflineUnlockCode.find({ device: device._id })
+      .populate('issuedBy', 'name')
+      .populate('payment', 'receiptNumber amount paidAt')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await OfflineUnlockCode.countDocuments({ device: device._id });
+
+    res.json({
+      success: true,
+      data: {
+        codes,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get offline unlock codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching offline unlock codes',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Location track of a device for a time range
+const getDeviceLocations = async (req, res) => {
+  try {
+    const { from, to, limit } = req.query;
+
+    const track = await getDeviceTrack({
+      user: req.user,
+      deviceId: req.params.deviceId,
+      from,
+      to,
+      limit: limit ? parseInt(limit) : undefined
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deviceId: track.device.deviceId,
+        lastKnownLocation: track.device.deviceInfo.lastKnownLocation,
+        from: track.from,
+        to: track.to,
+        points: track.points,
+        count: track.points.length,
+        truncated: track.truncated
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Get device locations', 'Server error while fetching device locations');
+  }
+};
+
+// Replace the geofences a device must stay within
+const setDeviceGeofences = async (req, res) => {
+  try {
+    const { device, geofences } = await assignDeviceGeofences({
+      deviceId: req.params.deviceId,
+      geofenceIds: req.body.geofenceIds,
+      user: req.user,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Device geofences updated successfully',
+      data: {
+        deviceId: device.deviceId,
+        geofences,
+        geofenceStatus: device.geofenceStatus
+      }
+    });
+  } catch (error) {
+    sendServiceError(res, error, 'Set device geofences', 'Server error while updating device geofences');
+  }
+};
+
+// Get command history for a device
+const getDeviceCommands = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { page = 1, limit = 20, status = '' } = req.query;
+    const currentUser = req.user;
 
-    // Process each device
-    for (const device of devices) {
-      try {
-        if (device.lockStatus.isLocked) {
-          await device.unlockDevice();
-
-          // Update user's device status
-          const user = device.user;
-          user.deviceStatus.isLocked = false;
-          user.deviceStatus.lastUnlockedAt = new Date();
-          user.deviceStatus.lockReason = null;
-          await user.save();
-
-          results.successful.push({
-            deviceId: device._id,
-            deviceName: device.deviceId,
-            userName: user.name
-          });
-
-          // Log activity - Temporarily disabled
-          // await ActivityLog.createLog({
-          //   user: device.user._id,
-          //   shop: device.shop._id,
-          //   device: device._id,
-          //   action: 'bulk_unlock',
-          //   description: `Device bulk unlocked: ${device.deviceId}`,
-          //   category: 'device',
-          //   performedBy: currentUser._id,
-          //   ipAddress: req.ip,
-          //   userAgent: req.get('User-Agent'),
-          //   severity: 'low'
-          // });
-        } else {
-          results.failed.push({
-            deviceId: device._id,
-            deviceName: device.deviceId,
-            reason: 'Not locked'
-          });
+    let filter = { _id: deviceId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const commandFilter = { device: device._id };
+    if (status) {
+      commandFilter.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const commands = await DeviceCommand.find(commandFilter)
+      .populate('issuedBy', 'name')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await DeviceCommand.countDocuments(commandFilter);
+
+    res.json({
+      success: true,
+      data: {
+        commands,
+        lockStatus: device.lockStatus,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
         }
-      } catch (error) {
-        results.failed.push({
-          deviceId: device._id,
-          deviceName: device.deviceId,
-          reason: error.message
-        });
       }
+    });
+  } catch (error) {
+    console.error('Get device commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device commands',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send a message or wipe request to a device (lock/unlock have their own endpoints)
+const sendDeviceCommand = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const { type, payload = {} } = req.body;
+    const currentUser = req.user;
+
+    let filter = { _id: deviceId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
     }
 
-    // Update shop statistics for affected shops
-    const shopIds = [...new Set(devices.map(d => d.shop._id.toString()))];
-    for (const shopId of shopIds) {
-      const shop = await Shop.findById(shopId);
-      if (shop) {
-        await shop.updateStatistics();
+    const command = await queueCommand(req.io, device, type, payload, currentUser._id);
+
+    await recordActivity({
+      user: device.user,
+      shop: device.shop,
+      device: device._id,
+      action: 'device_command_sent',
+      description: `Command "${type}" queued for device ${device.deviceId}`,
+      // A wipe request is destructive on the handset
+      severity: type === 'wipe_request' ? 'high' : undefined,
+      performedBy: currentUser._id,
+      req,
+      metadata: { command: command._id, type }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Command queued successfully',
+      data: { command }
+    });
+  } catch (error) {
+    console.error('Send device command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending device command',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Rotate device credentials (re-enrolls the locker app with a new secret)
+const rotateDeviceCredentials = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const currentUser = req.user;
+
+    let filter = { _id: deviceId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    const deviceSecret = device.issueCredentials();
+    await device.save();
+    disconnectDevice(req.io, device._id);
+
+    await recordActivity({
+      user: device.user,
+      shop: device.shop,
+      device: device._id,
+      action: 'device_credentials_rotated',
+      description: `Device credentials rotated: ${device.deviceId}`,
+      performedBy: currentUser._id,
+      req
+    });
+
+    res.json({
+      success: true,
+      message: 'Device credentials rotated successfully',
+      data: {
+        credentials: {
+          version: device.credentials.version,
+          issuedAt: device.credentials.issuedAt
+        },
+        deviceSecret // Shown once; provision it into the locker app
       }
+    });
+  } catch (error) {
+    console.error('Rotate device credentials error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating device credentials',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Revoke device credentials (locker app is cut off until rotated again)
+const revokeDeviceCredentials = async (req, res) => {
+  try {
+    const { deviceId } = req.params;
+    const currentUser = req.user;
+
+    let filter = { _id: deviceId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const device = await Device.findOne(filter);
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        message: 'Device not found'
+      });
+    }
+
+    if (device.credentials.revokedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Device credentials are already revoked'
+      });
     }
 
+    device.revokeCredentials();
+    await device.save();
+    disconnectDevice(req.io, device._id);
+
+    await recordActivity({
+      user: device.user,
+      shop: device.shop,
+      device: device._id,
+      action: 'device_credentials_revoked',
+      description: `Device credentials revoked: ${device.deviceId}`,
+      performedBy: currentUser._id,
+      req
+    });
+
     res.json({
       success: true,
-      message: `Bulk unlock operation completed. ${results.successful.length} devices unlocked, ${results.failed.length} failed.`,
-      data: results
+      message: 'Device credentials revoked successfully',
+      data: {
+        credentials: {
+          version: device.credentials.version,
+          revokedAt: device.credentials.revokedAt
+        }
+      }
     });
   } catch (error) {
-    console.error('Bulk unlock devices error:', error);
+    console.error('Revoke device credentials error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error during bulk unlock operation',
+      message: 'Server error while revoking device credentials',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -669,5 +1164,17 @@ module.exports = {
   lockDevice,
   unlockDevice,
   bulkLockDevices,
-  bulkUnlockDevices
+  bulkUnlockDevices,
+  scheduleDeviceAction,
+  cancelDeviceAction,
+  temporarilyUnlockDevice,
+  endTemporaryUnlock,
+  createOfflineUnlockCode,
+  getOfflineUnlockCodes,
+  getDeviceLocations,
+  setDeviceGeofences,
+  getDeviceCommands,
+  sendDeviceCommand,
+  rotateDeviceCredentials,
+  revokeDeviceCredentials
 };
@@ -0,0 +1,229 @@
+const User = require('../models/User');
+const Shop = require('../models/Shop');
+const EmiPlan = require('../models/EmiPlan');
+const { recordActivity } = require('../services/auditService');
+const { waivePenalty } = require('../services/penaltyService');
+const { buildStatement, renderCsv, renderPdf } = require('../services/statementService');
+
+// Get the customer's current EMI plan with its installment schedule
+const getEmiPlan = async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    const plan = await EmiPlan.findOne({ user: userId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name');
+
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'EMI plan not found'
+      });
+    }
+
+    // Overdue status depends on today's date
+    plan.refreshStatuses();
+
+    res.json({
+      success: true,
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Get EMI plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching EMI plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create an EMI plan and generate its installment schedule
+const createEmiPlan = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { principal, tenureMonths, interestRate = 0, startDate } = req.body;
+    const currentUser = req.user;
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.shop) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is not assigned to a shop'
+      });
+    }
+
+    const activePlan = await EmiPlan.findOne({ user: userId, status: { $in: ['active', 'defaulted'] } });
+    if (activePlan) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has an open EMI plan'
+      });
+    }
+
+    const plan = EmiPlan.generate({
+      user: user._id,
+      shop: user.shop,
+      principal: parseFloat(principal),
+      tenureMonths: parseInt(tenureMonths),
+      interestRate: parseFloat(interestRate),
+      startDate,
+      createdBy: currentUser._id
+    });
+
+    plan.refreshStatuses();
+    await plan.save();
+    await plan.syncUser();
+
+    // Revenue figures come from the derived emiDetails
+    const shop = await Shop.findById(user.shop);
+    if (shop) {
+      await shop.updateStatistics();
+    }
+
+    await recordActivity({
+      user: user._id,
+      shop: user.shop,
+      action: 'emi_plan_created',
+      description: `EMI plan created for ${user.name}: ${plan.tenureMonths} x ${plan.monthlyEmi}`,
+      performedBy: currentUser._id,
+      req,
+      metadata: {
+        plan: plan._id,
+        principal: plan.principal,
+        interestRate: plan.interestRate,
+        totalAmount: plan.totalAmount
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'EMI plan created successfully',
+      data: { plan }
+    });
+  } catch (error) {
+    console.error('Create EMI plan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating EMI plan',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Waive (reverse) a late fee on the customer's EMI plan
+const waivePlanPenalty = async (req, res) => {
+  try {
+    const { userId, penaltyId } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+
+    const plan = await EmiPlan.findOne({ user: userId, 'installments.penalties._id': penaltyId }).select('_id');
+    if (!plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'Penalty not found'
+      });
+    }
+
+    const { plan: updatedPlan, penalty } = await waivePenalty({
+      io: req.io,
+      planId: plan._id,
+      penaltyId,
+      reason,
+      waivedBy: currentUser._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Penalty waived successfully',
+      data: {
+        penalty,
+        emiDetails: updatedPlan.toEmiDetails()
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Waive penalty error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while waiving penalty',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Customer EMI statement as JSON, CSV or PDF
+const getStatement = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { format = 'json' } = req.query;
+
+    const statement = await buildStatement(userId);
+    if (!statement) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!statement.plan) {
+      return res.status(404).json({
+        success: false,
+        message: 'EMI plan not found'
+      });
+    }
+
+    const filename = `statement-${statement.customer.phone}-${statement.generatedAt.toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+      res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}.csv"`
+      });
+      return res.send(renderCsv(statement));
+    }
+
+    if (format === 'pdf') {
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `attachment; filename="${filename}.pdf"`
+      });
+      return renderPdf(statement, res);
+    }
+
+    res.json({
+      success: true,
+      data: { statement }
+    });
+  } catch (error) {
+    console.error('Get statement error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating statement',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getStatement,
+  getEmiPlan,
+  createEmiPlan,
+  waivePlanPenalty
+};
@@ -0,0 +1,237 @@
+const Geofence = require('../models/Geofence');
+const Device = require('../models/Device');
+const LockPolicy = require('../models/LockPolicy');
+const { recordActivity } = require('../services/auditService');
+
+const findShopGeofence = (req) => {
+  const { shopId, geofenceId } = req.params;
+  return Geofence.findOne({ _id: geofenceId, shop: shopId });
+};
+
+const logGeofenceActivity = (req, geofence, action, description) => {
+  return recordActivity({
+    user: req.user._id,
+    shop: geofence.shop,
+    action,
+    description,
+    performedBy: req.user._id,
+    req,
+    metadata: {
+      geofence: geofence._id,
+      name: geofence.name,
+      shape: geofence.shape,
+      lockOnExit: geofence.lockOnExit,
+      lockPolicy: geofence.lockPolicy
+    }
+  });
+};
+
+// GeoJSON fields for the shape in the request. Polygon rings are closed here
+// so clients can send the corners only.
+const buildGeometry = ({ shape, center, radiusMeters, points }) => {
+  if (shape === 'circle') {
+    return {
+      shape,
+      center: { type: 'Point', coordinates: [center.longitude, center.latitude] },
+      radiusMeters,
+      area: undefined
+    };
+  }
+
+  const ring = points.map(point => [point.longitude, point.latitude]);
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    ring.push(first);
+  }
+
+  return {
+    shape,
+    center: undefined,
+    radiusMeters: undefined,
+    area: { type: 'Polygon', coordinates: [ring] }
+  };
+};
+
+const lockPolicyExists = async (shopId, policyId) => {
+  return !policyId || Boolean(await LockPolicy.exists({ _id: policyId, shop: shopId }));
+};
+
+// Duplicate names and polygons MongoDB cannot index are the client's to fix
+const sendWriteError = (res, error, context, fallbackMessage) => {
+  if (error.code === 11000) {
+    return res.status(409).json({
+      success: false,
+      message: 'A geofence with this name already exists'
+    });
+  }
+  if (error.code === 16755) {
+    return res.status(400).json({
+      success: false,
+      message: 'Polygon is not valid; its edges must not cross'
+    });
+  }
+
+  console.error(`${context} error:`, error);
+  res.status(500).json({
+    success: false,
+    message: fallbackMessage,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const sendPolicyNotFound = (res) => {
+  return res.status(404).json({
+    success: false,
+    message: 'Lock policy not found'
+  });
+};
+
+// List a shop's geofences with the number of devices assigned to each
+const getGeofences = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const geofences = await Geofence.find({ shop: shopId })
+      .populate('lockPolicy', 'name level')
+      .sort({ name: 1 });
+
+    const ids = geofences.map(geofence => geofence._id);
+    const counts = await Device.aggregate([
+      { $match: { geofences: { $in: ids } } },
+      { $unwind: '$geofences' },
+      {
+        $group: {
+          _id: '$geofences',
+          devices: { $sum: 1 },
+          outside: { $sum: { $cond: ['$geofenceStatus.isOutside', 1, 0] } }
+        }
+      }
+    ]);
+    const countFor = (id) => counts.find(count => count._id.toString() === id.toString()) || { devices: 0, outside: 0 };
+
+    res.json({
+      success: true,
+      data: {
+        geofences: geofences.map(geofence => ({
+          ...geofence.toObject(),
+          assignedDevices: countFor(geofence._id).devices,
+          devicesOutside: countFor(geofence._id).outside
+        })),
+        shapes: Geofence.SHAPES
+      }
+    });
+  } catch (error) {
+    console.error('Get geofences error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching geofences',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const createGeofence = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { name, lockOnExit, lockPolicy, isActive } = req.body;
+
+    if (!(await lockPolicyExists(shopId, lockPolicy))) {
+      return sendPolicyNotFound(res);
+    }
+
+    const geofence = await Geofence.create({
+      shop: shopId,
+      name,
+      ...buildGeometry(req.body),
+      lockOnExit: lockOnExit === true,
+      lockPolicy: lockPolicy || undefined,
+      isActive: isActive !== false,
+      createdBy: req.user._id
+    });
+
+    await logGeofenceActivity(req, geofence, 'geofence_created', `Geofence created: ${geofence.name} (${geofence.shape})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Geofence created successfully',
+      data: { geofence }
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Create geofence', 'Server error while creating geofence');
+  }
+};
+
+// Changes apply from each device's next location report
+const updateGeofence = async (req, res) => {
+  try {
+    const geofence = await findShopGeofence(req);
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    const { name, shape, lockOnExit, lockPolicy, isActive } = req.body;
+
+    if (lockPolicy !== undefined && !(await lockPolicyExists(geofence.shop, lockPolicy))) {
+      return sendPolicyNotFound(res);
+    }
+
+    if (name !== undefined) geofence.name = name;
+    if (shape !== undefined) geofence.set(buildGeometry(req.body));
+    if (typeof lockOnExit === 'boolean') geofence.lockOnExit = lockOnExit;
+    if (lockPolicy !== undefined) geofence.lockPolicy = lockPolicy || undefined;
+    if (typeof isActive === 'boolean') geofence.isActive = isActive;
+    await geofence.save();
+
+    await logGeofenceActivity(req, geofence, 'geofence_updated', `Geofence updated: ${geofence.name} (${geofence.shape})`);
+
+    res.json({
+      success: true,
+      message: 'Geofence updated successfully',
+      data: { geofence }
+    });
+  } catch (error) {
+    sendWriteError(res, error, 'Update geofence', 'Server error while updating geofence');
+  }
+};
+
+// Deleting a geofence also removes it from the devices it was assigned to
+const deleteGeofence = async (req, res) => {
+  try {
+    const geofence = await findShopGeofence(req);
+    if (!geofence) {
+      return res.status(404).json({
+        success: false,
+        message: 'Geofence not found'
+      });
+    }
+
+    await geofence.deleteOne();
+    const { modifiedCount } = await Device.updateMany(
+      { geofences: geofence._id },
+      { $pull: { geofences: geofence._id } }
+    );
+
+    await logGeofenceActivity(req, geofence, 'geofence_deleted', `Geofence deleted: ${geofence.name} (removed from ${modifiedCount} device(s))`);
+
+    res.json({
+      success: true,
+      message: 'Geofence deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete geofence error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting geofence',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence
+};
@@ -0,0 +1,217 @@
+const LockPolicy = require('../models/LockPolicy');
+const Device = require('../models/Device');
+const Shop = require('../models/Shop');
+const Geofence = require('../models/Geofence');
+const { recordActivity } = require('../services/auditService');
+
+const findShopLockPolicy = (req) => {
+  const { shopId, policyId } = req.params;
+  return LockPolicy.findOne({ _id: policyId, shop: shopId });
+};
+
+const logLockPolicyActivity = (req, policy, action, description) => {
+  return recordActivity({
+    user: req.user._id,
+    shop: policy.shop,
+    action,
+    description,
+    performedBy: req.user._id,
+    req,
+    metadata: {
+      lockPolicy: policy._id,
+      name: policy.name,
+      level: policy.level,
+      isDefault: policy.isDefault
+    }
+  });
+};
+
+// A shop has at most one default policy
+const clearOtherDefaults = (policy) => {
+  return LockPolicy.updateMany(
+    { shop: policy.shop, _id: { $ne: policy._id }, isDefault: true },
+    { $set: { isDefault: false } }
+  );
+};
+
+const sendDuplicateName = (res) => {
+  return res.status(409).json({
+    success: false,
+    message: 'A lock policy with this name already exists'
+  });
+};
+
+// List a shop's lock policies
+const getLockPolicies = async (req, res) => {
+  try {
+    const policies = await LockPolicy.find({ shop: req.params.shopId }).sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        policies,
+        levels: LockPolicy.LEVELS,
+        defaultAllowedApps: LockPolicy.DEFAULT_ALLOWED_APPS
+      }
+    });
+  } catch (error) {
+    console.error('Get lock policies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching lock policies',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+const createLockPolicy = async (req, res) => {
+  try {
+    const { name, level, message, contactPhone, allowedApps, isDefault } = req.body;
+
+    const policy = await LockPolicy.create({
+      shop: req.params.shopId,
+      name,
+      level,
+      message,
+      contactPhone,
+      allowedApps: allowedApps ? [...new Set(allowedApps)] : [],
+      isDefault: isDefault === true,
+      createdBy: req.user._id
+    });
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    await logLockPolicyActivity(req, policy, 'lock_policy_created', `Lock policy created: ${policy.name} (${policy.level})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Lock policy created successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+
+    console.error('Create lock policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating lock policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Changes reach locked devices at their next check-in
+const updateLockPolicy = async (req, res) => {
+  try {
+    const policy = await findShopLockPolicy(req);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock policy not found'
+      });
+    }
+
+    const { name, level, message, contactPhone, allowedApps, isDefault } = req.body;
+    if (name !== undefined) policy.name = name;
+    if (level !== undefined) policy.level = level;
+    if (message !== undefined) policy.message = message;
+    if (contactPhone !== undefined) policy.contactPhone = contactPhone;
+    if (allowedApps !== undefined) policy.allowedApps = [...new Set(allowedApps)];
+    if (typeof isDefault === 'boolean') policy.isDefault = isDefault;
+    await policy.save();
+
+    if (policy.isDefault) {
+      await clearOtherDefaults(policy);
+    }
+
+    // Keep the level recorded on devices locked under this policy in step
+    await Device.updateMany(
+      { 'lockStatus.policy': policy._id, 'lockStatus.isLocked': true },
+      { $set: { 'lockStatus.level': policy.level } }
+    );
+
+    await logLockPolicyActivity(req, policy, 'lock_policy_updated', `Lock policy updated: ${policy.name} (${policy.level})`);
+
+    res.json({
+      success: true,
+      message: 'Lock policy updated successfully',
+      data: { policy }
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return sendDuplicateName(res);
+    }
+
+    console.error('Update lock policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating lock policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Policies still in force on a locked device, or named by an escalation
+// step or a geofence, cannot be deleted
+const deleteLockPolicy = async (req, res) => {
+  try {
+    const policy = await findShopLockPolicy(req);
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lock policy not found'
+      });
+    }
+
+    const inUse = await Device.countDocuments({ 'lockStatus.policy': policy._id, 'lockStatus.isLocked': true });
+    if (inUse > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Lock policy is in force on ${inUse} locked device(s); move them to another policy first`
+      });
+    }
+
+    const onLadder = await Shop.exists({ _id: policy.shop, 'settings.escalation.steps.policy': policy._id });
+    if (onLadder) {
+      return res.status(409).json({
+        success: false,
+        message: 'Lock policy is used by the escalation ladder; change those steps first'
+      });
+    }
+
+    const geofences = await Geofence.countDocuments({ shop: policy.shop, lockPolicy: policy._id });
+    if (geofences > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Lock policy is used by ${geofences} geofence(s); change them first`
+      });
+    }
+
+    await policy.deleteOne();
+
+    await logLockPolicyActivity(req, policy, 'lock_policy_deleted', `Lock policy deleted: ${policy.name}`);
+
+    res.json({
+      success: true,
+      message: 'Lock policy deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete lock policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting lock policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getLockPolicies,
+  createLockPolicy,
+  updateLockPolicy,
+  deleteLockPolicy
+};
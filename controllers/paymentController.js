@@ -0,0 +1,283 @@
+const User = require('../models/User');
+const Payment = require('../models/Payment');
+const { recordPayment, voidPayment } = require('../services/paymentService');
+const { processGatewayWebhook } = require('../services/paymentGatewayService');
+
+// Record a payment against a customer's EMI plan
+const createPayment = async (req, res) => {
+  try {
+    const { userId, amount, method, reference, notes, paidAt } = req.body;
+    const currentUser = req.user;
+
+    let filter = { _id: userId, role: 'user' };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const user = await User.findOne(filter);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Customer not found'
+      });
+    }
+
+    const { payment, plan, unlockedDevices } = await recordPayment({
+      io: req.io,
+      user,
+      amount,
+      method,
+      reference,
+      notes,
+      paidAt,
+      recordedBy: currentUser._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        payment,
+        emiDetails: plan.toEmiDetails(),
+        unlockedDevices
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Create payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// List payments with pagination and filtering
+const getPayments = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 20,
+      userId = '',
+      status = '',
+      method = '',
+      startDate = '',
+      endDate = '',
+      sortBy = 'paidAt',
+      sortOrder = 'desc'
+    } = req.query;
+
+    const currentUser = req.user;
+    let filter = {};
+
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    if (userId) {
+      filter.user = userId;
+    }
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (method) {
+      filter.method = method;
+    }
+
+    if (startDate || endDate) {
+      filter.paidAt = {};
+      if (startDate) {
+        filter.paidAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        filter.paidAt.$lte = new Date(endDate);
+      }
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const sortDirection = sortOrder === 'desc' ? -1 : 1;
+
+    const payments = await Payment.find(filter)
+      .populate('user', 'name phone')
+      .populate('recordedBy', 'name')
+      .populate('voidedBy', 'name')
+      .sort({ [sortBy]: sortDirection })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Payment.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        payments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payments',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get a single payment (receipt)
+const getPaymentById = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const currentUser = req.user;
+
+    let filter = { _id: paymentId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const payment = await Payment.findOne(filter)
+      .populate('user', 'name phone email')
+      .populate('shop', 'name shopId contactInfo address')
+      .populate('recordedBy', 'name')
+      .populate('voidedBy', 'name');
+
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { payment }
+    });
+  } catch (error) {
+    console.error('Get payment by ID error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Void a payment with a reason
+const voidPaymentById = async (req, res) => {
+  try {
+    const { paymentId } = req.params;
+    const { reason } = req.body;
+    const currentUser = req.user;
+
+    let filter = { _id: paymentId };
+    if (currentUser.isShopMember()) {
+      filter.shop = currentUser.shop._id;
+    }
+
+    const payment = await Payment.findOne(filter);
+    if (!payment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { payment: voided, plan } = await voidPayment({
+      io: req.io,
+      payment,
+      reason,
+      voidedBy: currentUser._id,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment voided successfully',
+      data: {
+        payment: voided,
+        emiDetails: plan.toEmiDetails()
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Void payment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while voiding payment',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Payment gateway webhook (unauthenticated; verified by signature)
+const receiveGatewayWebhook = async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const result = await processGatewayWebhook({ io: req.io, provider, req });
+
+    if (result.status !== 'processed') {
+      return res.json({
+        success: true,
+        message: result.status === 'duplicate' ? 'Transaction already received' : 'Event ignored',
+        data: { status: result.status }
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Payment recorded',
+      data: {
+        status: result.status,
+        receiptNumber: result.payment.receiptNumber,
+        unlockedDevices: result.unlockedDevices
+      }
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    console.error('Payment gateway webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while processing gateway webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  createPayment,
+  getPayments,
+  getPaymentById,
+  voidPaymentById,
+  receiveGatewayWebhook
+};
@@ -1,6 +1,16 @@
 const Shop = require('../models/Shop');
 const User = require('../models/User');
 const ActivityLog = require('../models/ActivityLog');
+const LockPolicy = require('../models/LockPolicy');
+const ApprovalRequest = require('../models/ApprovalRequest');
+const { recordActivity } = require('../services/auditService');
+
+// Settings managed by their own endpoints rather than the generic shop update
+const DEDICATED_SETTINGS = {
+  latePenalty: 'late-penalty',
+  approvals: 'approvals',
+  escalation: 'escalation'
+};
 
 // Get all shops (superadmin only)
 const getShops = async (req, res) => {
@@ -90,7 +100,7 @@ const getShopById = async (req, res) => {
     let filter = { _id: shopId };
 
     // Apply access control
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       if (currentUser.shop._id.toString() !== shopId) {
         return res.status(403).json({
           success: false,
@@ -188,14 +198,12 @@ const createShop = async (req, res) => {
     await owner.save();
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       shop: shop._id,
       action: 'shop_created',
       description: `New shop created: ${name}`,
-      category: 'shop',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.status(201).json({
@@ -230,7 +238,7 @@ const updateShop = async (req, res) => {
 
     // Find shop with access control
     let filter = { _id: shopId };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       if (currentUser.shop._id.toString() !== shopId) {
         return res.status(403).json({
           success: false,
@@ -247,6 +255,17 @@ const updateShop = async (req, res) => {
       });
     }
 
+    // These settings have their own validated endpoints
+    const dedicatedPaths = Object.entries(DEDICATED_SETTINGS)
+      .filter(([key]) => settings && settings[key] !== undefined)
+      .map(([, path]) => `/api/shops/${shopId}/${path}`);
+    if (dedicatedPaths.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `These settings can only be changed through ${dedicatedPaths.join(', ')}`
+      });
+    }
+
     // Build update data
     const updateData = {};
     if (name) updateData.name = name;
@@ -269,14 +288,12 @@ const updateShop = async (req, res) => {
     ).populate('owner', 'name email phone');
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       shop: updatedShop._id,
       action: 'shop_updated',
       description: `Shop updated: ${updatedShop.name}`,
-      category: 'shop',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.json({
@@ -323,14 +340,12 @@ const deleteShop = async (req, res) => {
     await Shop.findByIdAndDelete(shopId);
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       shop: shopId,
       action: 'shop_deleted',
       description: `Shop deleted: ${shop.name}`,
-      category: 'shop',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.json({
@@ -354,7 +369,7 @@ const getShopStatistics = async (req, res) => {
     const currentUser = req.user;
 
     // Apply access control
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       if (currentUser.shop._id.toString() !== shopId) {
         return res.status(403).json({
           success: false,
@@ -376,7 +391,7 @@ const getShopStatistics = async (req, res) => {
 
     // Get additional statistics
     const users = await User.find({ shop: shopId });
-    const recentActivities = await ActivityLog.find({ shop: shopId })
+    const recentActivities = await ActivityLog.find({ shop: shopId, purgedAt: { $exists: false } })
       .sort({ createdAt: -1 })
       .limit(10)
       .populate('performedBy', 'name');
@@ -406,11 +421,286 @@ const getShopStatistics = async (req, res) => {
   }
 };
 
+// Get the shop's escalation ladder
+const getEscalationPolicy = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.params.shopId)
+      .select('settings.escalation settings.gracePeriodDays settings.autoLockOnDefault')
+      .populate('settings.escalation.steps.policy', 'name level');
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        escalation: shop.settings.escalation,
+        gracePeriodDays: shop.settings.gracePeriodDays,
+        autoLockOnDefault: shop.settings.autoLockOnDefault,
+        actions: Shop.ESCALATION_ACTIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching escalation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace the shop's escalation ladder. Plans move to the new ladder on the
+// next daily run.
+const updateEscalationPolicy = async (req, res) => {
+  try {
+    const { shopId } = req.params;
+    const { enabled, steps } = req.body;
+
+    const shop = await Shop.findById(shopId);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    if (steps !== undefined) {
+      const days = steps.map(step => Number(step.days));
+      if (new Set(days).size !== days.length) {
+        return res.status(400).json({
+          success: false,
+          message: 'Each escalation step must have a different number of days'
+        });
+      }
+
+      const policyIds = [...new Set(steps.filter(step => step.action === 'lock' && step.policy).map(step => step.policy))];
+      const found = await LockPolicy.countDocuments({ _id: { $in: policyIds }, shop: shopId });
+      if (found !== policyIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'Lock policy not found'
+        });
+      }
+
+      shop.settings.escalation.steps = steps
+        .map(step => ({
+          days: Number(step.days),
+          action: step.action,
+          policy: step.action === 'lock' ? step.policy || undefined : undefined,
+          message: step.action === 'sms_reminder' ? step.message : undefined
+        }))
+        .sort((a, b) => a.days - b.days);
+    }
+    if (typeof enabled === 'boolean') {
+      shop.settings.escalation.enabled = enabled;
+    }
+    await shop.save();
+
+    const { escalation } = shop.settings;
+    await recordActivity({
+      user: req.user._id,
+      shop: shop._id,
+      action: 'escalation_updated',
+      description: `Escalation ladder ${escalation.enabled ? 'updated' : 'disabled'}: ` +
+        (escalation.steps.map(step => `day ${step.days} ${step.action}`).join(', ') || 'no steps'),
+      performedBy: req.user._id,
+      req,
+      metadata: {
+        enabled: escalation.enabled,
+        steps: escalation.steps
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Escalation policy updated successfully',
+      data: { escalation }
+    });
+  } catch (error) {
+    console.error('Update escalation policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating escalation policy',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the shop's late fee rules
+const getLatePenaltyRules = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.params.shopId)
+      .select('settings.latePenalty settings.gracePeriodDays');
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        latePenalty: shop.settings.latePenalty,
+        gracePeriodDays: shop.settings.gracePeriodDays
+      }
+    });
+  } catch (error) {
+    console.error('Get late penalty rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching late penalty rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update the shop's late fee rules. Omitted fields keep their current value;
+// new rules apply from the next daily run.
+const updateLatePenaltyRules = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.params.shopId);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    const { latePenalty } = shop.settings;
+    const previous = latePenalty.toObject();
+    ['enabled', 'flatFee', 'percentPerDay', 'maxPenalty', 'startAfterGracePeriod'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        latePenalty[field] = req.body[field];
+      }
+    });
+    await shop.save();
+
+    await recordActivity({
+      user: req.user._id,
+      shop: shop._id,
+      action: 'late_penalty_updated',
+      description: `Late fee rules ${latePenalty.enabled ? 'updated' : 'disabled'}: ` +
+        `flat ${latePenalty.flatFee}, ${latePenalty.percentPerDay}% per day, cap ${latePenalty.maxPenalty || 'none'}`,
+      performedBy: req.user._id,
+      req,
+      metadata: {
+        previous,
+        latePenalty: latePenalty.toObject()
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Late penalty rules updated successfully',
+      data: { latePenalty }
+    });
+  } catch (error) {
+    console.error('Update late penalty rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating late penalty rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Get the shop's maker-checker approval settings
+const getApprovalSettings = async (req, res) => {
+  try {
+    const shop = await Shop.findById(req.params.shopId).select('settings.approvals');
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        approvals: shop.settings.approvals,
+        operations: ApprovalRequest.OPERATIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get approval settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching approval settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update which operations need a second user's approval. Requests already
+// waiting keep the expiry they were created with.
+const updateApprovalSettings = async (req, res) => {
+  try {
+    const { requiredFor, expiryHours } = req.body;
+
+    const shop = await Shop.findById(req.params.shopId);
+    if (!shop) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shop not found'
+      });
+    }
+
+    const { approvals } = shop.settings;
+    const previous = approvals.toObject();
+    if (requiredFor !== undefined) {
+      approvals.requiredFor = [...new Set(requiredFor)];
+    }
+    if (expiryHours !== undefined) {
+      approvals.expiryHours = Number(expiryHours);
+    }
+    await shop.save();
+
+    await recordActivity({
+      user: req.user._id,
+      shop: shop._id,
+      action: 'approval_settings_updated',
+      description: `Approval required for: ${approvals.requiredFor.join(', ') || 'nothing'}; ` +
+        `requests expire after ${approvals.expiryHours}h`,
+      performedBy: req.user._id,
+      req,
+      metadata: {
+        previous,
+        approvals: approvals.toObject()
+      }
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval settings updated successfully',
+      data: { approvals }
+    });
+  } catch (error) {
+    console.error('Update approval settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating approval settings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 module.exports = {
   getShops,
   getShopById,
   createShop,
   updateShop,
   deleteShop,
-  getShopStatistics
+  getShopStatistics,
+  getEscalationPolicy,
+  updateEscalationPolicy,
+  getLatePenaltyRules,
+  updateLatePenaltyRules,
+  getApprovalSettings,
+  updateApprovalSettings
 };
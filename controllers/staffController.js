@@ -0,0 +1,177 @@
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { recordActivity } = require('../services/auditService');
+const { disconnectSessions } = require('../services/sessionService');
+
+const findShopStaff = (req) => {
+  const { shopId, staffId } = req.params;
+  return User.findOne({ _id: staffId, shop: shopId, role: 'shopstaff' });
+};
+
+const logStaffActivity = (req, staff, action, description, metadata = {}) => {
+  return recordActivity({
+    user: staff._id,
+    shop: staff.shop,
+    action,
+    description,
+    performedBy: req.user._id,
+    req,
+    metadata: {
+      permissions: staff.permissions,
+      ...metadata
+    }
+  });
+};
+
+// List a shop's staff accounts
+const getStaff = async (req, res) => {
+  try {
+    const staff = await User.find({ shop: req.params.shopId, role: 'shopstaff' })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        staff,
+        availablePermissions: User.STAFF_PERMISSIONS
+      }
+    });
+  } catch (error) {
+    console.error('Get staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching staff',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a staff login for the shop counter
+const createStaff = async (req, res) => {
+  try {
+    const { name, phone, email, password, permissions } = req.body;
+
+    const existingUser = await User.findOne({ phone });
+    if (existingUser) {
+      return res.status(400).json({
+        success: false,
+        message: 'User with this phone number already exists'
+      });
+    }
+
+    const staff = new User({
+      name,
+      phone,
+      password,
+      ...(email && { email }),
+      role: 'shopstaff',
+      permissions: [...new Set(permissions)],
+      shop: req.params.shopId,
+      createdBy: req.user._id
+    });
+    await staff.save();
+
+    await logStaffActivity(req, staff, 'staff_created', `Staff account created: ${name} (${phone})`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Staff account created successfully',
+      data: { staff }
+    });
+  } catch (error) {
+    console.error('Create staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating staff account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update a staff member's details, permissions, password or active flag.
+// Deactivating or resetting the password signs them out everywhere;
+// permission changes apply from their next request.
+const updateStaff = async (req, res) => {
+  try {
+    const staff = await findShopStaff(req);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    const { name, email, password, permissions, isActive } = req.body;
+    const previousPermissions = [...staff.permissions];
+
+    if (name !== undefined) staff.name = name;
+    if (email !== undefined) staff.email = email;
+    if (permissions !== undefined) staff.permissions = [...new Set(permissions)];
+    if (password) staff.password = password;
+    if (typeof isActive === 'boolean') staff.isActive = isActive;
+    await staff.save();
+
+    if (password || isActive === false) {
+      await Session.revokeAllForUser(staff._id, 'admin');
+      disconnectSessions(req.io, { userId: staff._id });
+    }
+
+    await logStaffActivity(req, staff, 'staff_updated', `Staff account updated: ${staff.name}`, {
+      previousPermissions,
+      passwordReset: Boolean(password),
+      isActive: staff.isActive
+    });
+
+    res.json({
+      success: true,
+      message: 'Staff account updated successfully',
+      data: { staff }
+    });
+  } catch (error) {
+    console.error('Update staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating staff account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Remove a staff account and end its sessions
+const deleteStaff = async (req, res) => {
+  try {
+    const staff = await findShopStaff(req);
+    if (!staff) {
+      return res.status(404).json({
+        success: false,
+        message: 'Staff member not found'
+      });
+    }
+
+    await staff.deleteOne();
+    await Session.revokeAllForUser(staff._id, 'admin');
+    disconnectSessions(req.io, { userId: staff._id });
+
+    await logStaffActivity(req, staff, 'staff_deleted', `Staff account deleted: ${staff.name} (${staff.phone})`);
+
+    res.json({
+      success: true,
+      message: 'Staff account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete staff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting staff account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff
+};
@@ -1,7 +1,11 @@
 const User = require('../models/User');
 const Shop = require('../models/Shop');
 const Device = require('../models/Device');
-const ActivityLog = require('../models/ActivityLog');
+const Session = require('../models/Session');
+const { recordActivity } = require('../services/auditService');
+const { publishUserCreated } = require('../services/eventBus');
+const { disconnectSessions } = require('../services/sessionService');
+const { disconnectDevice } = require('../services/deviceCommandService');
 
 // Get all users (with pagination and filtering)
 const getUsers = async (req, res) => {
@@ -20,7 +24,7 @@ const getUsers = async (req, res) => {
     let filter = {};
 
     // Build filter based on user role
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
       filter.role = { $ne: 'superadmin' }; // Shop owners cannot see superadmins
     } else if (currentUser.role === 'user') {
@@ -97,7 +101,7 @@ const getUserById = async (req, res) => {
     let filter = { _id: userId };
 
     // Apply access control
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       if (currentUser._id.toString() !== userId) {
@@ -136,7 +140,7 @@ const getUserById = async (req, res) => {
 // Create new user
 const createUser = async (req, res) => {
   try {
-    const { name, phone, password, email, role, deviceId, imeiNumber, address, emiDetails } = req.body;
+    const { name, phone, password, email, role, deviceId, imeiNumber, address } = req.body;
     const currentUser = req.user;
 
     // Check permissions
@@ -161,13 +165,14 @@ const createUser = async (req, res) => {
     if (currentUser.role === 'superadmin') {
       // Superadmin can assign users to any shop or create shop owners
       shopId = req.body.shopId;
-    } else if (currentUser.role === 'shopowner') {
-      // Shop owners can only create users in their own shop
+    } else if (currentUser.isShopMember()) {
+      // Shops can only create customers in their own shop; staff accounts
+      // are managed from the shop's staff endpoints
       shopId = currentUser.shop._id;
-      if (role === 'shopowner' || role === 'superadmin') {
+      if (role && role !== 'user') {
         return res.status(403).json({
           success: false,
-          message: 'Shop owners cannot create other shop owners or superadmins'
+          message: 'Shops can only create customer accounts here'
         });
       }
     }
@@ -202,7 +207,6 @@ const createUser = async (req, res) => {
       ...(deviceId && { deviceId }),
       ...(imeiNumber && { imeiNumber }),
       ...(address && { address }),
-      ...(emiDetails && { emiDetails }),
       createdBy: currentUser._id
     };
 
@@ -215,17 +219,17 @@ const createUser = async (req, res) => {
     }
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: user._id,
       shop: shop?._id,
       action: 'user_created',
       description: `New user created: ${name} (${phone})`,
-      category: 'user',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
+    publishUserCreated(req.io, user);
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -245,12 +249,12 @@ const createUser = async (req, res) => {
 const updateUser = async (req, res) => {
   try {
     const { userId } = req.params;
-    const { name, email, address, deviceId, imeiNumber, emiDetails, isActive } = req.body;
+    const { name, email, address, deviceId, imeiNumber, isActive } = req.body;
     const currentUser = req.user;
 
     // Find user with access control
     let filter = { _id: userId };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     } else if (currentUser.role === 'user') {
       if (currentUser._id.toString() !== userId) {
@@ -269,6 +273,15 @@ const updateUser = async (req, res) => {
       });
     }
 
+    // Staff accounts, the caller's own included, are managed by the owner
+    // through the shop's staff endpoints
+    if (user.role === 'shopstaff') {
+      return res.status(403).json({
+        success: false,
+        message: 'Staff accounts can only be changed through the shop staff endpoints'
+      });
+    }
+
     // Build update data
     const updateData = {};
     if (name) updateData.name = name;
@@ -276,7 +289,6 @@ const updateUser = async (req, res) => {
     if (address) updateData.address = address;
     if (deviceId) updateData.deviceId = deviceId;
     if (imeiNumber) updateData.imeiNumber = imeiNumber;
-    if (emiDetails) updateData.emiDetails = { ...user.emiDetails, ...emiDetails };
     if (typeof isActive === 'boolean' && currentUser.role !== 'user') {
       updateData.isActive = isActive;
     }
@@ -288,6 +300,12 @@ const updateUser = async (req, res) => {
       { new: true, runValidators: true }
     ).populate('shop');
 
+    // A deactivated account loses its sessions and live connections
+    if (updateData.isActive === false) {
+      await Session.revokeAllForUser(userId, 'admin');
+      disconnectSessions(req.io, { userId });
+    }
+
     // Update shop statistics if user status changed
     if (typeof isActive === 'boolean' && user.shop) {
       const shop = await Shop.findById(user.shop);
@@ -297,15 +315,13 @@ const updateUser = async (req, res) => {
     }
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: updatedUser._id,
       shop: updatedUser.shop?._id,
       action: 'user_updated',
       description: `User updated: ${updatedUser.name}`,
-      category: 'user',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.json({
@@ -339,7 +355,7 @@ const deleteUser = async (req, res) => {
 
     // Find user with access control
     let filter = { _id: userId };
-    if (currentUser.role === 'shopowner') {
+    if (currentUser.isShopMember()) {
       filter.shop = currentUser.shop._id;
     }
 
@@ -352,7 +368,7 @@ const deleteUser = async (req, res) => {
     }
 
     // Prevent deletion of superadmin by shop owners
-    if (currentUser.role === 'shopowner' && user.role === 'superadmin') {
+    if (currentUser.isShopMember() && user.role === 'superadmin') {
       return res.status(403).json({
         success: false,
         message: 'Access denied. Cannot delete superadmin.'
@@ -360,10 +376,14 @@ const deleteUser = async (req, res) => {
     }
 
     // Delete associated devices
+    const devices = await Device.find({ user: userId }).select('_id');
     await Device.deleteMany({ user: userId });
+    devices.forEach(device => disconnectDevice(req.io, device._id));
 
     // Delete user
     await User.findByIdAndDelete(userId);
+    await Session.revokeAllForUser(userId, 'admin');
+    disconnectSessions(req.io, { userId });
 
     // Update shop statistics
     if (user.shop) {
@@ -374,15 +394,13 @@ const deleteUser = async (req, res) => {
     }
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: userId,
       shop: user.shop,
       action: 'user_deleted',
       description: `User deleted: ${user.name} (${user.phone})`,
-      category: 'user',
       performedBy: currentUser._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.json({
@@ -0,0 +1,273 @@
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { recordActivity } = require('../services/auditService');
+const { sendTestEvent } = require('../services/webhookService');
+
+const findShopWebhook = (req) => {
+  const { shopId, webhookId } = req.params;
+  return Webhook.findOne({ _id: webhookId, shop: shopId });
+};
+
+const logWebhookActivity = (req, webhook, action, description) => {
+  return recordActivity({
+    user: req.user._id,
+    shop: webhook.shop,
+    action,
+    description,
+    performedBy: req.user._id,
+    req,
+    metadata: {
+      webhook: webhook._id,
+      url: webhook.url,
+      events: webhook.events
+    }
+  });
+};
+
+// List a shop's webhooks
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ shop: req.params.shopId }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        webhooks,
+        availableEvents: Webhook.EVENTS
+      }
+    });
+  } catch (error) {
+    console.error('Get webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhooks',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Create a webhook; the signing secret is only returned here
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+
+    const webhook = new Webhook({
+      shop: req.params.shopId,
+      url,
+      events: [...new Set(events)],
+      description,
+      createdBy: req.user._id
+    });
+    const secret = webhook.generateSecret();
+    await webhook.save();
+
+    await logWebhookActivity(req, webhook, 'webhook_created', `Webhook created: ${url}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully. Store the secret now, it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Update URL, event filter, description or active flag
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findShopWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { url, events, description, isActive } = req.body;
+    if (url !== undefined) webhook.url = url;
+    if (events !== undefined) webhook.events = [...new Set(events)];
+    if (description !== undefined) webhook.description = description;
+    if (typeof isActive === 'boolean') {
+      webhook.isActive = isActive;
+      if (isActive) {
+        webhook.consecutiveFailures = 0;
+        webhook.disabledAt = undefined;
+      }
+    }
+    await webhook.save();
+
+    await logWebhookActivity(req, webhook, 'webhook_updated', `Webhook updated: ${webhook.url}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delete a webhook; pending deliveries fail on their next attempt
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findShopWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.deleteOne();
+
+    await logWebhookActivity(req, webhook, 'webhook_deleted', `Webhook deleted: ${webhook.url}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting webhook',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Replace the signing secret
+const rotateWebhookSecret = async (req, res) => {
+  try {
+    const webhook = await findShopWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = webhook.generateSecret();
+    await webhook.save();
+
+    await logWebhookActivity(req, webhook, 'webhook_secret_rotated', `Webhook secret rotated: ${webhook.url}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Store the new secret now, it will not be shown again.',
+      data: { webhook, secret }
+    });
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while rotating webhook secret',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Send a test event and report the receiver's response
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findShopWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const delivery = await sendTestEvent(webhook, req.user._id);
+    const succeeded = delivery.status === 'succeeded';
+
+    res.json({
+      success: true,
+      message: succeeded ? 'Test event delivered' : 'Test event delivery failed',
+      data: { delivery }
+    });
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while sending test event',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+// Delivery log for a webhook
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = '', event = '' } = req.query;
+
+    const webhook = await findShopWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (status) {
+      filter.status = status;
+    }
+    if (event) {
+      filter.event = event;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await WebhookDelivery.countDocuments(filter);
+
+    res.json({
+      success: true,
+      data: {
+        deliveries,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / parseInt(limit)),
+          totalItems: total,
+          itemsPerPage: parseInt(limit),
+          hasNextPage: page < Math.ceil(total / parseInt(limit)),
+          hasPrevPage: page > 1
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching webhook deliveries',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries
+};
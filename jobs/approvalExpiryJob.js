@@ -0,0 +1,16 @@
+const { scheduleJob } = require('./scheduler');
+const { expireDueApprovals } = require('../services/approvalService');
+
+const MINUTE = 60 * 1000;
+
+// Requests are also expired lazily when someone tries to decide them; this
+// job closes the ones nobody touches
+const JOB_INTERVAL_MINUTES = parseFloat(process.env.APPROVAL_EXPIRY_INTERVAL_MINUTES) || 5;
+
+const startApprovalExpiryJob = (io) => {
+  return scheduleJob('approval-expiry', JOB_INTERVAL_MINUTES * MINUTE, () => expireDueApprovals(io));
+};
+
+module.exports = {
+  startApprovalExpiryJob
+};
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const path = require('path');
+const { scheduleJob } = require('./scheduler');
+const { createCheckpoints, toCheckpointRecord } = require('../services/auditService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Runs daily by default; chains that did not move since the last run are skipped
+const JOB_INTERVAL_HOURS = parseFloat(process.env.AUDIT_CHECKPOINT_INTERVAL_HOURS) || 24;
+
+// When set, new checkpoints are also appended to a daily NDJSON file here so
+// they can be shipped somewhere the database administrators cannot rewrite
+const EXPORT_DIR = process.env.AUDIT_CHECKPOINT_DIR;
+
+const exportCheckpoints = async (checkpoints) => {
+  const day = new Date().toISOString().slice(0, 10);
+  const file = path.join(EXPORT_DIR, `audit-checkpoints-${day}.ndjson`);
+  const lines = checkpoints.map(checkpoint => JSON.stringify(toCheckpointRecord(checkpoint))).join('\n');
+
+  await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+  await fs.promises.appendFile(file, `${lines}\n`);
+};
+
+const runAuditCheckpoint = async () => {
+  const checkpoints = await createCheckpoints();
+
+  if (checkpoints.length > 0 && EXPORT_DIR) {
+    await exportCheckpoints(checkpoints);
+  }
+
+  return { checkpointed: checkpoints.length };
+};
+
+const startAuditCheckpointJob = () => {
+  return scheduleJob('audit-checkpoint', JOB_INTERVAL_HOURS * HOUR, runAuditCheckpoint);
+};
+
+module.exports = {
+  runAuditCheckpoint,
+  startAuditCheckpointJob
+};
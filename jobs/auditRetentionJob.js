@@ -0,0 +1,15 @@
+const { scheduleJob } = require('./scheduler');
+const { purgeExpiredLogs } = require('../services/auditRetentionService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Runs daily by default; see config/auditRetention.js for the rules
+const JOB_INTERVAL_HOURS = parseFloat(process.env.AUDIT_RETENTION_JOB_INTERVAL_HOURS) || 24;
+
+const startAuditRetentionJob = () => {
+  return scheduleJob('audit-retention', JOB_INTERVAL_HOURS * HOUR, () => purgeExpiredLogs());
+};
+
+module.exports = {
+  startAuditRetentionJob
+};
@@ -0,0 +1,54 @@
+const Shop = require('../models/Shop');
+const EmiPlan = require('../models/EmiPlan');
+const { scheduleJob } = require('./scheduler');
+const { enforceDefault, releaseClearedDefault } = require('../services/emiDefaultService');
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const JOB_INTERVAL_MINUTES = parseInt(process.env.EMI_DEFAULT_JOB_INTERVAL_MINUTES) || 60;
+
+// Run one plan at a time so a conflict on one customer does not stop the rest
+const processPlans = async (plans, handler) => {
+  let processed = 0;
+  for (const plan of plans) {
+    try {
+      if (await handler(plan)) {
+        processed++;
+      }
+    } catch (error) {
+      console.error(`EMI default check failed for plan ${plan._id}:`, error.message);
+    }
+  }
+  return processed;
+};
+
+const runEmiDefaultCheck = async (io) => {
+  const shops = await Shop.find({ isActive: true });
+  const summary = { defaulted: 0, released: 0 };
+
+  for (const shop of shops) {
+    const cutoff = new Date(Date.now() - (shop.settings.gracePeriodDays || 0) * DAY);
+
+    const overduePlans = await EmiPlan.find({
+      shop: shop._id,
+      status: 'active',
+      installments: { $elemMatch: { dueDate: { $lt: cutoff }, status: { $ne: 'paid' } } }
+    });
+    summary.defaulted += await processPlans(overduePlans, plan => enforceDefault(io, plan, shop));
+
+    const defaultedPlans = await EmiPlan.find({ shop: shop._id, status: 'defaulted' });
+    summary.released += await processPlans(defaultedPlans, plan => releaseClearedDefault(io, plan, shop.owner));
+  }
+
+  return summary;
+};
+
+const startEmiDefaultJob = (io) => {
+  return scheduleJob('emi-default', JOB_INTERVAL_MINUTES * MINUTE, () => runEmiDefaultCheck(io));
+};
+
+module.exports = {
+  runEmiDefaultCheck,
+  startEmiDefaultJob
+};
@@ -0,0 +1,31 @@
+const Shop = require('../models/Shop');
+const { scheduleJob } = require('./scheduler');
+const { runShopEscalation } = require('../services/escalationService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Ladder steps are whole days overdue, so a daily pass is enough; payments
+// roll a plan back as they are recorded
+const JOB_INTERVAL_HOURS = parseFloat(process.env.ESCALATION_JOB_INTERVAL_HOURS) || 24;
+
+const runEscalationCheck = async (io) => {
+  const shops = await Shop.find({ isActive: true, 'settings.escalation.enabled': true });
+  const summary = { escalated: 0, rolledBack: 0 };
+
+  for (const shop of shops) {
+    const result = await runShopEscalation(io, shop);
+    summary.escalated += result.escalated;
+    summary.rolledBack += result.rolledBack;
+  }
+
+  return summary;
+};
+
+const startEscalationJob = (io) => {
+  return scheduleJob('escalation', JOB_INTERVAL_HOURS * HOUR, () => runEscalationCheck(io));
+};
+
+module.exports = {
+  runEscalationCheck,
+  startEscalationJob
+};
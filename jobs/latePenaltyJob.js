@@ -0,0 +1,42 @@
+const Shop = require('../models/Shop');
+const EmiPlan = require('../models/EmiPlan');
+const { scheduleJob } = require('./scheduler');
+const { applyPlanPenalties } = require('../services/penaltyService');
+
+const MINUTE = 60 * 1000;
+
+// Runs hourly by default; penalties are keyed by day so repeated runs are safe
+const JOB_INTERVAL_MINUTES = parseInt(process.env.LATE_PENALTY_JOB_INTERVAL_MINUTES) || 60;
+
+const runLatePenaltyCheck = async () => {
+  const shops = await Shop.find({ isActive: true, 'settings.latePenalty.enabled': true });
+  let charged = 0;
+
+  for (const shop of shops) {
+    const plans = await EmiPlan.find({
+      shop: shop._id,
+      status: { $in: ['active', 'defaulted'] },
+      installments: { $elemMatch: { dueDate: { $lt: new Date() }, status: { $ne: 'paid' } } }
+    });
+
+    for (const plan of plans) {
+      try {
+        const added = await applyPlanPenalties(plan, shop);
+        charged += added.length;
+      } catch (error) {
+        console.error(`Late penalty check failed for plan ${plan._id}:`, error.message);
+      }
+    }
+  }
+
+  return { charged };
+};
+
+const startLatePenaltyJob = () => {
+  return scheduleJob('late-penalty', JOB_INTERVAL_MINUTES * MINUTE, runLatePenaltyCheck);
+};
+
+module.exports = {
+  runLatePenaltyCheck,
+  startLatePenaltyJob
+};
@@ -0,0 +1,15 @@
+const { scheduleJob } = require('./scheduler');
+const { runDueLockActions } = require('../services/lockScheduleService');
+
+const MINUTE = 60 * 1000;
+
+// Scheduled locks and relocks run at most this long after their time
+const JOB_INTERVAL_MINUTES = parseFloat(process.env.LOCK_SCHEDULE_INTERVAL_MINUTES) || 1;
+
+const startLockScheduleJob = (io) => {
+  return scheduleJob('lock-schedule', JOB_INTERVAL_MINUTES * MINUTE, () => runDueLockActions(io));
+};
+
+module.exports = {
+  startLockScheduleJob
+};
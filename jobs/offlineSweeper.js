@@ -0,0 +1,95 @@
+const Device = require('../models/Device');
+const { recordActivity } = require('../services/auditService');
+const { scheduleJob } = require('./scheduler');
+const { emitDeviceStatusChange } = require('../services/deviceStatusService');
+
+const MINUTE = 60 * 1000;
+
+// Devices without a heartbeat for this long are marked offline
+const HEARTBEAT_TIMEOUT_MINUTES = parseInt(process.env.DEVICE_HEARTBEAT_TIMEOUT_MINUTES) || 15;
+const SWEEP_INTERVAL_MINUTES = parseInt(process.env.OFFLINE_SWEEP_INTERVAL_MINUTES) || 5;
+// Locked devices offline for this long raise a security alert
+const LOCKED_DARK_ALERT_HOURS = parseInt(process.env.LOCKED_DEVICE_DARK_ALERT_HOURS) || 24;
+
+const markStaleDevicesOffline = async (io) => {
+  const cutoff = new Date(Date.now() - HEARTBEAT_TIMEOUT_MINUTES * MINUTE);
+
+  const staleDevices = await Device.find({
+    'connectionStatus.isOnline': true,
+    $or: [
+      { 'connectionStatus.lastHeartbeat': { $lt: cutoff } },
+      { 'connectionStatus.lastHeartbeat': null }
+    ]
+  });
+
+  for (const device of staleDevices) {
+    // Only flip devices that have not checked in since the query ran
+    const updated = await Device.findOneAndUpdate(
+      { _id: device._id, 'connectionStatus.isOnline': true, 'connectionStatus.lastHeartbeat': device.connectionStatus.lastHeartbeat },
+      {
+        $set: {
+          'connectionStatus.isOnline': false,
+          'connectionStatus.connectionType': 'offline',
+          'connectionStatus.lastSeen': device.connectionStatus.lastHeartbeat || device.connectionStatus.lastSeen
+        }
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      emitDeviceStatusChange(io, updated, 'offline');
+    }
+  }
+
+  return staleDevices.length;
+};
+
+const alertLockedDevicesGoneDark = async () => {
+  const cutoff = new Date(Date.now() - LOCKED_DARK_ALERT_HOURS * 60 * MINUTE);
+
+  const darkDevices = await Device.find({
+    isActive: true,
+    'lockStatus.isLocked': true,
+    'connectionStatus.isOnline': false,
+    'connectionStatus.lastSeen': { $lt: cutoff },
+    'connectionStatus.offlineAlertAt': null
+  });
+
+  for (const device of darkDevices) {
+    await recordActivity({
+      user: device.user,
+      shop: device.shop,
+      device: device._id,
+      action: 'security_alert',
+      description: `Locked device ${device.deviceId} has been offline since ${device.connectionStatus.lastSeen.toISOString()}`,
+      performedBy: device.user,
+      metadata: {
+        source: 'offline_sweeper',
+        lastSeen: device.connectionStatus.lastSeen,
+        thresholdHours: LOCKED_DARK_ALERT_HOURS
+      }
+    });
+
+    await Device.updateOne(
+      { _id: device._id },
+      { $set: { 'connectionStatus.offlineAlertAt': new Date() } }
+    );
+  }
+
+  return darkDevices.length;
+};
+
+const sweepOfflineDevices = async (io) => {
+  const markedOffline = await markStaleDevicesOffline(io);
+  const alerted = await alertLockedDevicesGoneDark();
+  return { markedOffline, alerted };
+};
+
+const startOfflineSweeper = (io) => {
+  return scheduleJob('offline-sweeper', SWEEP_INTERVAL_MINUTES * MINUTE, () => sweepOfflineDevices(io));
+};
+
+module.exports = {
+  sweepOfflineDevices,
+  startOfflineSweeper
+};
@@ -0,0 +1,63 @@
+// Minimal interval scheduler for background jobs. Runs never overlap: if a run
+// is still in progress when the next tick fires, that tick is skipped.
+const jobs = new Map();
+
+const scheduleJob = (name, intervalMs, task, { runOnStart = false } = {}) => {
+  if (jobs.has(name)) {
+    return jobs.get(name);
+  }
+
+  const job = { name, intervalMs, running: false, lastRunAt: null, lastError: null };
+
+  const run = async () => {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await task();
+      job.lastError = null;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      job.running = false;
+      job.lastRunAt = new Date();
+    }
+  };
+
+  job.run = run;
+  job.timer = setInterval(run, intervalMs);
+  job.timer.unref();
+  jobs.set(name, job);
+
+  if (runOnStart) {
+    run();
+  }
+
+  console.log(`Scheduled job ${name} every ${Math.round(intervalMs / 1000)}s`);
+  return job;
+};
+
+const stopJobs = () => {
+  jobs.forEach(job => clearInterval(job.timer));
+  jobs.clear();
+};
+
+// Status snapshot for health endpoints
+const getJobStatus = () => {
+  return [...jobs.values()].map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastError
+  }));
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs,
+  getJobStatus
+};
@@ -0,0 +1,15 @@
+const { scheduleJob } = require('./scheduler');
+const { retryDueDeliveries } = require('../services/webhookService');
+
+const SECOND = 1000;
+
+// Picks up failed webhook deliveries once their backoff has elapsed
+const JOB_INTERVAL_SECONDS = parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 30;
+
+const startWebhookRetryJob = () => {
+  return scheduleJob('webhook-retry', JOB_INTERVAL_SECONDS * SECOND, () => retryDueDeliveries());
+};
+
+module.exports = {
+  startWebhookRetryJob
+};
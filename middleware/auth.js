@@ -1,14 +1,79 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
-const ActivityLog = require('../models/ActivityLog');
+const Device = require('../models/Device');
+const Session = require('../models/Session');
+const { recordActivity } = require('../services/auditService');
 
-// Generate JWT Token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE,
+// Generate short-lived JWT access token bound to a session
+const generateToken = (userId, sessionId) => {
+  return jwt.sign({ userId, sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRE || '15m',
   });
 };
 
+// Generate device token for the locker agent, bound to the current credential version
+const generateDeviceToken = (device) => {
+  return jwt.sign(
+    {
+      deviceId: device._id,
+      imeiNumber: device.imeiNumber,
+      credentialVersion: device.credentials.version,
+      type: 'device'
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.DEVICE_TOKEN_EXPIRE || '1h' }
+  );
+};
+
+// Auth failures carrying an HTTP status
+const authError = (message, status = 401) => Object.assign(new Error(message), { status });
+
+// Resolve a user access token to its user and live session
+const authenticateUserToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Access tokens must belong to a live session so logout takes effect at once
+  const session = decoded.sessionId ? await Session.findById(decoded.sessionId) : null;
+  if (!session || !session.isActive() || session.user.toString() !== decoded.userId) {
+    throw authError('Session expired or revoked. Please log in again.');
+  }
+
+  const user = await User.findById(decoded.userId).populate('shop');
+
+  if (!user) {
+    throw authError('Invalid token. User not found.');
+  }
+
+  if (!user.isActive) {
+    throw authError('Account is deactivated.');
+  }
+
+  return { user, session };
+};
+
+// Resolve a locker agent token to its device
+const authenticateDeviceToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.type !== 'device') {
+    throw authError('Invalid device token.');
+  }
+
+  const device = await Device.findById(decoded.deviceId);
+
+  if (!device || !device.isActive) {
+    throw authError('Invalid device token. Device not found or inactive.');
+  }
+
+  // Rotation and revocation bump the version, invalidating older tokens
+  if (device.credentials.revokedAt ||
+      device.credentials.version !== decoded.credentialVersion ||
+      device.imeiNumber !== decoded.imeiNumber) {
+    throw authError('Device credentials have been revoked or rotated.');
+  }
+
+  return device;
+};
+
 // Verify JWT Token
 const verifyToken = async (req, res, next) => {
   try {
@@ -21,26 +86,11 @@ const verifyToken = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.userId).populate('shop');
-
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid token. User not found.'
-      });
-    }
-
-    if (!user.isActive) {
-      return res.status(401).json({
-        success: false,
-        message: 'Account is deactivated.'
-      });
-    }
+    const { user, session } = await authenticateUserToken(token);
 
     // For web platform routes, only allow admin and superadmin
     // Mobile routes are handled separately
-    if (!req.path.startsWith('/api/mobile') && user.role === 'user') {
+    if (!req.originalUrl.startsWith('/api/mobile') && user.role === 'user') {
       return res.status(403).json({
         success: false,
         message: 'Web platform access restricted to admin users only'
@@ -48,8 +98,16 @@ const verifyToken = async (req, res, next) => {
     }
 
     req.user = user;
+    req.authSession = session;
     next();
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     if (error.name === 'JsonWebTokenError') {
       return res.status(401).json({
         success: false,
@@ -72,6 +130,50 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
+// Verify device token issued to the locker agent
+const verifyDevice = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Access denied. No device token provided.'
+      });
+    }
+
+    req.device = await authenticateDeviceToken(token);
+    next();
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'JsonWebTokenError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device token.'
+      });
+    }
+
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        message: 'Device token expired.'
+      });
+    }
+
+    console.error('Device auth middleware error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during device authentication.'
+    });
+  }
+};
+
 // Role-based authorization
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -93,6 +195,40 @@ const authorize = (...roles) => {
   };
 };
 
+// Permission-based authorization. Shop owners and the superadmin pass every
+// check; shop staff need at least one of the listed permissions.
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required.'
+      });
+    }
+
+    if (!permissions.some(permission => req.user.hasPermission(permission))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Insufficient permissions.'
+      });
+    }
+
+    next();
+  };
+};
+
+// Permission check that only constrains shop staff. For routes customers may
+// also reach, where ownership is left to verifyUserAccess and the controller.
+const requireStaffPermission = (...permissions) => {
+  return (req, res, next) => {
+    if (req.user?.role !== 'shopstaff') {
+      return next();
+    }
+
+    return requirePermission(...permissions)(req, res, next);
+  };
+};
+
 // Shop ownership verification
 const verifyShopOwnership = async (req, res, next) => {
   try {
@@ -104,8 +240,8 @@ const verifyShopOwnership = async (req, res, next) => {
       return next();
     }
 
-    // Shop owner can only access their own shop
-    if (user.role === 'shopowner') {
+    // Shop owners and staff can only access their own shop
+    if (user.isShopMember()) {
       if (!user.shop || user.shop._id.toString() !== shopId) {
         return res.status(403).json({
           success: false,
@@ -143,8 +279,8 @@ const verifyUserAccess = async (req, res, next) => {
       return next();
     }
 
-    // Shop owners can access users in their shop
-    if (currentUser.role === 'shopowner') {
+    // Shop owners and staff can access users in their shop
+    if (currentUser.isShopMember()) {
       const targetUser = await User.findById(userId);
       if (!targetUser) {
         return res.status(404).json({
@@ -159,6 +295,15 @@ const verifyUserAccess = async (req, res, next) => {
           message: 'Access denied. You can only access users in your shop.'
         });
       }
+
+      // Staff work with customers, not with the owner's or colleagues' accounts
+      if (currentUser.role === 'shopstaff' && targetUser.role !== 'user' &&
+          targetUser._id.toString() !== currentUser._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. Staff can only access customer accounts.'
+        });
+      }
     }
 
     // Regular users can only access their own data
@@ -181,52 +326,45 @@ const verifyUserAccess = async (req, res, next) => {
   }
 };
 
-// Activity logging middleware
-const logActivity = (action, category, description) => {
-  return async (req, res, next) => {
-    try {
-      // Store original res.json to intercept response
-      const originalJson = res.json;
-      
-      res.json = function(data) {
-        // Only log if the request was successful
-        if (res.statusCode < 400) {
-          ActivityLog.createLog({
-            user: req.user?._id,
-            shop: req.user?.shop?._id || req.user?.shop,
-            action,
-            description,
-            category,
-            performedBy: req.user?._id,
-            ipAddress: req.ip || req.connection.remoteAddress,
-            userAgent: req.get('User-Agent'),
-            metadata: {
-              method: req.method,
-              url: req.originalUrl,
-              params: req.params,
-              query: req.query
-            }
-          }).catch(error => {
-            console.error('Error logging activity:', error);
-          });
+// Activity logging middleware for read-only endpoints. Endpoints that change
+// state record their own, more specific entries through the audit service.
+const logActivity = (action, description) => {
+  return (req, res, next) => {
+    // Log once the response is sent, whatever its format (JSON, CSV, PDF)
+    res.on('finish', () => {
+      if (res.statusCode >= 400 || !req.user) {
+        return;
+      }
+
+      recordActivity({
+        action,
+        description,
+        shop: req.user.shop,
+        performedBy: req.user._id,
+        req,
+        metadata: {
+          method: req.method,
+          url: req.originalUrl,
+          params: req.params,
+          query: req.query
         }
-        
-        // Call original res.json
-        originalJson.call(this, data);
-      };
+      });
+    });
 
-      next();
-    } catch (error) {
-      console.error('Activity logging middleware error:', error);
-      next();
-    }
+    next();
   };
 };
 
 module.exports = {
   generateToken,
+  generateDeviceToken,
+  authenticateUserToken,
+  authenticateDeviceToken,
   verifyToken,
+  verifyDevice,
   authorize,
+  requirePermission,
+  requireStaffPermission,
   verifyShopOwnership,
   verifyUserAccess,
   logActivity
@@ -0,0 +1,89 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { authenticateUserToken, authenticateDeviceToken } = require('./auth');
+const { deviceRoom } = require('../services/deviceCommandService');
+const { sessionRoom, accountRoom } = require('../services/sessionService');
+
+// Socket.IO handshake authentication. Dashboards pass the same access token
+// they use for HTTP in `auth.token`; the locker agent passes its device token.
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('Authentication required.'));
+    }
+
+    const { type } = jwt.decode(token) || {};
+
+    if (type === 'device') {
+      socket.data.device = await authenticateDeviceToken(token);
+    } else {
+      const { user, session } = await authenticateUserToken(token);
+      socket.data.user = user;
+      socket.data.sessionId = session._id;
+    }
+
+    next();
+  } catch (error) {
+    next(new Error(error.status ? error.message : 'Authentication failed.'));
+  }
+};
+
+// Rooms come from the verified identity, never from client input
+const getSocketRooms = (socket) => {
+  const { user, device, sessionId } = socket.data;
+
+  if (device) {
+    return [deviceRoom(device._id)];
+  }
+
+  // Used to disconnect the socket when its session or account is revoked
+  const authRooms = [sessionRoom(sessionId), accountRoom(user._id)];
+
+  if (user.role === 'superadmin') {
+    return ['superadmin', ...authRooms];
+  }
+
+  if (user.isShopMember() && user.shop) {
+    return [`shop-${user.shop._id}`, ...authRooms];
+  }
+
+  return [`user-${user._id}`, ...authRooms];
+};
+
+// Superadmin may notify any room; shop owners only their shop and its customers
+const canSendToRoom = async (socket, room) => {
+  const { user } = socket.data;
+
+  if (!user || typeof room !== 'string') {
+    return false;
+  }
+
+  if (user.role === 'superadmin') {
+    return true;
+  }
+
+  if (user.role !== 'shopowner' || !user.shop) {
+    return false;
+  }
+
+  if (room === `shop-${user.shop._id}`) {
+    return true;
+  }
+
+  const [, customerId] = room.match(/^user-([a-f0-9]{24})$/) || [];
+  if (!customerId || !mongoose.Types.ObjectId.isValid(customerId)) {
+    return false;
+  }
+
+  return Boolean(await User.exists({ _id: customerId, shop: user.shop._id }));
+};
+
+module.exports = {
+  authenticateSocket,
+  getSocketRooms,
+  canSendToRoom
+};
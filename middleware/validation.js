@@ -1,4 +1,12 @@
 const { body, param, query, validationResult } = require('express-validator');
+const Webhook = require('../models/Webhook');
+const { STAFF_PERMISSIONS } = require('../models/User');
+const { LOCK_REASONS } = require('../models/Device');
+const { LEVELS: LOCK_LEVELS } = require('../models/LockPolicy');
+const { ESCALATION_ACTIONS } = require('../models/Shop');
+const { OPERATIONS: APPROVAL_OPERATIONS } = require('../models/ApprovalRequest');
+const { PROVIDERS: LOCATION_PROVIDERS } = require('../models/DeviceLocation');
+const { SHAPES: GEOFENCE_SHAPES } = require('../models/Geofence');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -61,6 +69,11 @@ const validateUserRegistration = [
     .isObject()
     .withMessage('Address must be an object'),
 
+  body('emiDetails')
+    .not()
+    .exists()
+    .withMessage('EMI details are derived from the customer\'s EMI plan and cannot be set directly'),
+
   handleValidationErrors
 ];
 
@@ -77,6 +90,15 @@ const validateUserLogin = [
   handleValidationErrors
 ];
 
+const validateRefreshToken = [
+  body('refreshToken')
+    .trim()
+    .notEmpty()
+    .withMessage('Refresh token is required'),
+
+  handleValidationErrors
+];
+
 const validateUserUpdate = [
   body('name')
     .optional()
@@ -103,6 +125,11 @@ const validateUserUpdate = [
     .isNumeric()
     .withMessage('IMEI number must be exactly 15 digits'),
   
+  body('emiDetails')
+    .not()
+    .exists()
+    .withMessage('EMI details are derived from the customer\'s EMI plan and cannot be set directly'),
+
   handleValidationErrors
 ];
 
@@ -172,6 +199,172 @@ const validateDeviceRegistration = [
   handleValidationErrors
 ];
 
+const validateDeviceTokenRequest = [
+  body('deviceId')
+    .trim()
+    .notEmpty()
+    .withMessage('Device ID is required'),
+
+  body('imeiNumber')
+    .trim()
+    .isLength({ min: 15, max: 15 })
+    .isNumeric()
+    .withMessage('IMEI number must be exactly 15 digits'),
+
+  body('deviceSecret')
+    .trim()
+    .notEmpty()
+    .withMessage('Device secret is required'),
+
+  handleValidationErrors
+];
+
+// Device command validation rules
+const validateDeviceCommand = [
+  body('type')
+    .isIn(['message', 'wipe_request'])
+    .withMessage('Command type must be one of: message, wipe_request'),
+
+  body('payload')
+    .optional()
+    .isObject()
+    .withMessage('Payload must be an object'),
+
+  body('payload.message')
+    .if(body('type').equals('message'))
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Message must be between 1 and 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateCommandAck = [
+  param('commandId')
+    .isMongoId()
+    .withMessage('commandId must be a valid MongoDB ObjectId'),
+
+  body('status')
+    .isIn(['executed', 'failed'])
+    .withMessage('Status must be one of: executed, failed'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Message cannot exceed 500 characters'),
+
+  handleValidationErrors
+];
+
+// Device agent check-in validation rules
+const validateDeviceCheckIn = [
+  body('appVersion')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('App version cannot exceed 50 characters'),
+
+  body('androidVersion')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Android version cannot exceed 50 characters'),
+
+  body('connectionType')
+    .optional()
+    .isIn(['wifi', 'mobile'])
+    .withMessage('Connection type must be one of: wifi, mobile'),
+
+  body('battery.level')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Battery level must be between 0 and 100'),
+
+  body('battery.isCharging')
+    .optional()
+    .isBoolean()
+    .withMessage('Battery charging flag must be a boolean'),
+
+  body(['security.appInstalled', 'security.appTampered', 'security.rootDetected'])
+    .optional()
+    .isBoolean()
+    .withMessage('Security flags must be booleans'),
+
+  body('offlineUnlocks')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Offline unlocks must be an array of at most 20 entries'),
+
+  body('offlineUnlocks.*.counter')
+    .isInt({ min: 1 })
+    .withMessage('Offline unlock counter must be a positive integer')
+    .toInt(),
+
+  body('offlineUnlocks.*.redeemedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Offline unlock time must be a valid ISO date'),
+
+  handleValidationErrors
+];
+
+// Device agent location report validation rules
+const validateLocationReport = [
+  body('locations')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Locations must be an array of 1 to 100 fixes'),
+
+  body('locations.*.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90')
+    .toFloat(),
+
+  body('locations.*.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180')
+    .toFloat(),
+
+  body(['locations.*.accuracy', 'locations.*.speed'])
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Accuracy and speed cannot be negative')
+    .toFloat(),
+
+  body('locations.*.altitude')
+    .optional()
+    .isFloat()
+    .withMessage('Altitude must be a number')
+    .toFloat(),
+
+  body('locations.*.provider')
+    .optional()
+    .isIn(LOCATION_PROVIDERS)
+    .withMessage(`Provider must be one of: ${LOCATION_PROVIDERS.join(', ')}`),
+
+  body('locations.*.recordedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Location time must be a valid ISO date'),
+
+  handleValidationErrors
+];
+
+// Device location track query validation
+const validateLocationQuery = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('Range bounds must be valid ISO dates'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Limit must be between 1 and 5000'),
+
+  handleValidationErrors
+];
+
 // EMI validation rules
 const validateEMIUpdate = [
   body('totalAmount')
@@ -202,6 +395,501 @@ const validateEMIUpdate = [
   handleValidationErrors
 ];
 
+const validateEmiPlan = [
+  body('principal')
+    .isFloat({ min: 1 })
+    .withMessage('Principal must be greater than zero'),
+
+  body('tenureMonths')
+    .isInt({ min: 1, max: 120 })
+    .withMessage('Tenure must be between 1 and 120 months'),
+
+  body('interestRate')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Interest rate must be between 0 and 100'),
+
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  handleValidationErrors
+];
+
+const validatePenaltyWaiver = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Waiver reason must be between 3 and 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateStatementQuery = [
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'pdf'])
+    .withMessage('Format must be one of: json, csv, pdf'),
+
+  handleValidationErrors
+];
+
+const validateLogExport = [
+  query('format')
+    .optional()
+    .isIn(['csv', 'ndjson'])
+    .withMessage('Format must be one of: csv, ndjson'),
+
+  query('startDate')
+    .isISO8601()
+    .withMessage('Start date must be a valid date'),
+
+  query('endDate')
+    .isISO8601()
+    .withMessage('End date must be a valid date'),
+
+  handleValidationErrors
+];
+
+// Payment validation rules
+const validatePaymentRecord = [
+  body('userId')
+    .isMongoId()
+    .withMessage('Valid user ID is required'),
+
+  body('amount')
+    .isFloat({ gt: 0 })
+    .withMessage('Amount must be greater than zero'),
+
+  body('method')
+    .isIn(['cash', 'upi', 'card'])
+    .withMessage('Method must be one of: cash, upi, card'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Reference cannot exceed 100 characters'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('paidAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Paid at must be a valid date'),
+
+  handleValidationErrors
+];
+
+const validatePaymentVoid = [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Void reason must be between 3 and 500 characters'),
+
+  handleValidationErrors
+];
+
+// Shop staff validation rules; phone is fixed once the account exists
+const staffRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Name must be between 2 and 100 characters'),
+
+    ...(optional ? [] : [
+      body('phone')
+        .trim()
+        .isMobilePhone()
+        .withMessage('Please provide a valid phone number')
+    ]),
+
+    body('email')
+      .optional()
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+
+    field('password')
+      .isLength({ min: 6 })
+      .withMessage('Password must be at least 6 characters long'),
+
+    field('permissions')
+      .isArray()
+      .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+      .isIn(STAFF_PERMISSIONS)
+      .withMessage(`Each permission must be one of: ${STAFF_PERMISSIONS.join(', ')}`),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateStaff = staffRules(false);
+
+const validateStaffUpdate = staffRules(true);
+
+// Optional comment on an approval request or a decision; a rejection must say why
+const validateApprovalDecision = (commentRequired) => [
+  (commentRequired ? body('comment') : body('comment').optional())
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters'),
+
+  handleValidationErrors
+];
+
+const validateApprovalComment = validateApprovalDecision(true);
+
+const lockConditionRule = () => body('condition')
+  .optional()
+  .isIn(['always', 'if_unpaid'])
+  .withMessage('Condition must be always or if_unpaid');
+
+const lockNoteRule = () => body('note')
+  .optional()
+  .trim()
+  .isLength({ max: 500 })
+  .withMessage('Note cannot exceed 500 characters');
+
+const lockReasonRule = () => body('reason')
+  .optional()
+  .isIn(LOCK_REASONS)
+  .withMessage(`Reason must be one of: ${LOCK_REASONS.join(', ')}`);
+
+const lockPolicyIdRule = () => body('policyId')
+  .optional()
+  .isMongoId()
+  .withMessage('Policy ID must be a valid MongoDB ObjectId');
+
+// Lock and bulk lock validation; the comment goes to the approval request
+// when the shop requires one
+const validateDeviceLock = [
+  lockReasonRule(),
+  lockPolicyIdRule(),
+
+  body('comment')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters'),
+
+  handleValidationErrors
+];
+
+// Scheduled lock/unlock validation
+const validateLockSchedule = [
+  body('action')
+    .isIn(['lock', 'unlock'])
+    .withMessage('Action must be lock or unlock'),
+
+  body('runAt')
+    .isISO8601()
+    .withMessage('Scheduled time must be a valid ISO date'),
+
+  lockReasonRule(),
+  lockPolicyIdRule(),
+
+  lockConditionRule(),
+  lockNoteRule(),
+
+  handleValidationErrors
+];
+
+// Temporary unlock validation; windows run from one hour to 30 days
+const validateTemporaryUnlock = [
+  body('hours')
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Hours must be between 1 and 720')
+    .toInt(),
+
+  lockConditionRule(),
+  lockNoteRule(),
+
+  handleValidationErrors
+];
+
+// Offline unlock code validation
+const validateOfflineUnlockCode = [
+  body('paymentId')
+    .optional()
+    .isMongoId()
+    .withMessage('Payment ID must be a valid MongoDB ObjectId'),
+
+  lockNoteRule(),
+
+  handleValidationErrors
+];
+
+// Outbound webhook validation rules. Plain http and hosts without a TLD are
+// accepted, but local and private addresses only when the server allows them.
+const webhookRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('URL must be a valid http(s) URL')
+      .bail()
+      .custom(url => Webhook.isAllowedUrl(url))
+      .withMessage('URL must not point to a local or private network address'),
+
+    field('events')
+      .isArray({ min: 1 })
+      .withMessage('Events must be a non-empty array'),
+
+    body('events.*')
+      .isIn(Webhook.EVENTS)
+      .withMessage(`Each event must be one of: ${Webhook.EVENTS.join(', ')}`),
+
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage('Description cannot exceed 200 characters'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive must be a boolean'),
+
+    handleValidationErrors
+  ];
+};
+
+// Lock policy validation rules
+const lockPolicyRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Policy name must be between 1 and 50 characters'),
+
+    field('level')
+      .isIn(LOCK_LEVELS)
+      .withMessage(`Level must be one of: ${LOCK_LEVELS.join(', ')}`),
+
+    body('message')
+      .optional()
+      .trim()
+      .isLength({ max: 300 })
+      .withMessage('Message cannot exceed 300 characters'),
+
+    body('contactPhone')
+      .optional({ values: 'falsy' })
+      .trim()
+      .isMobilePhone()
+      .withMessage('Please provide a valid phone number'),
+
+    body('allowedApps')
+      .optional()
+      .isArray({ max: 30 })
+      .withMessage('Allowed apps must be an array of at most 30 package names'),
+
+    body('allowedApps.*')
+      .trim()
+      .matches(/^[a-zA-Z][\w]*(\.[a-zA-Z][\w]*)+$/)
+      .withMessage('Each allowed app must be an Android package name'),
+
+    body('isDefault')
+      .optional()
+      .isBoolean()
+      .withMessage('isDefault must be a boolean'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateLockPolicy = lockPolicyRules(false);
+
+const validateLockPolicyUpdate = lockPolicyRules(true);
+
+// Geofence validation rules. The shape's geometry is required whenever the
+// shape is given, so an update replaces the geometry as a whole.
+const geofenceRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  const isShape = (shape) => body('shape').equals(shape);
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Geofence name must be between 1 and 50 characters'),
+
+    field('shape')
+      .isIn(GEOFENCE_SHAPES)
+      .withMessage(`Shape must be one of: ${GEOFENCE_SHAPES.join(', ')}`),
+
+    body('center.latitude')
+      .if(isShape('circle'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Centre latitude must be between -90 and 90')
+      .toFloat(),
+
+    body('center.longitude')
+      .if(isShape('circle'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Centre longitude must be between -180 and 180')
+      .toFloat(),
+
+    body('radiusMeters')
+      .if(isShape('circle'))
+      .isInt({ min: 100, max: 200000 })
+      .withMessage('Radius must be between 100 and 200000 metres')
+      .toInt(),
+
+    body('points')
+      .if(isShape('polygon'))
+      .isArray({ min: 3, max: 100 })
+      .withMessage('Polygon must have between 3 and 100 points'),
+
+    body('points.*.latitude')
+      .if(isShape('polygon'))
+      .isFloat({ min: -90, max: 90 })
+      .withMessage('Point latitude must be between -90 and 90')
+      .toFloat(),
+
+    body('points.*.longitude')
+      .if(isShape('polygon'))
+      .isFloat({ min: -180, max: 180 })
+      .withMessage('Point longitude must be between -180 and 180')
+      .toFloat(),
+
+    body(['lockOnExit', 'isActive'])
+      .optional()
+      .isBoolean()
+      .withMessage('lockOnExit and isActive must be booleans'),
+
+    body('lockPolicy')
+      .optional({ values: 'null' })
+      .isMongoId()
+      .withMessage('Lock policy must be a valid lock policy ID'),
+
+    handleValidationErrors
+  ];
+};
+
+const validateGeofence = geofenceRules(false);
+
+const validateGeofenceUpdate = geofenceRules(true);
+
+// Device geofence assignment validation
+const validateDeviceGeofences = [
+  body('geofenceIds')
+    .isArray({ max: 10 })
+    .withMessage('Geofence IDs must be an array of at most 10 IDs'),
+
+  body('geofenceIds.*')
+    .isMongoId()
+    .withMessage('Each geofence ID must be a valid MongoDB ObjectId'),
+
+  handleValidationErrors
+];
+
+// Escalation ladder validation
+const validateEscalation = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+
+  body('steps')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Steps must be an array of at most 10 steps'),
+
+  body('steps.*.days')
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Step days must be between 1 and 365'),
+
+  body('steps.*.action')
+    .isIn(ESCALATION_ACTIONS)
+    .withMessage(`Step action must be one of: ${ESCALATION_ACTIONS.join(', ')}`),
+
+  body('steps.*.policy')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Step policy must be a valid lock policy ID'),
+
+  body('steps.*.message')
+    .optional()
+    .trim()
+    .isLength({ max: 300 })
+    .withMessage('Step message cannot exceed 300 characters'),
+
+  handleValidationErrors
+];
+
+// Late fee rules validation
+const validateLatePenalty = [
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean'),
+
+  body('flatFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Flat fee cannot be negative'),
+
+  body('percentPerDay')
+    .optional()
+    .isFloat({ min: 0, max: 10 })
+    .withMessage('Daily percentage must be between 0 and 10'),
+
+  body('maxPenalty')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Maximum penalty cannot be negative'),
+
+  body('startAfterGracePeriod')
+    .optional()
+    .isBoolean()
+    .withMessage('startAfterGracePeriod must be a boolean'),
+
+  handleValidationErrors
+];
+
+// Maker-checker approval settings validation
+const validateApprovalSettings = [
+  body('requiredFor')
+    .optional()
+    .isArray()
+    .withMessage('requiredFor must be an array'),
+
+  body('requiredFor.*')
+    .isIn(APPROVAL_OPERATIONS)
+    .withMessage(`Each operation must be one of: ${APPROVAL_OPERATIONS.join(', ')}`),
+
+  body('expiryHours')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Expiry must be between 1 and 168 hours'),
+
+  handleValidationErrors
+];
+
+const validateWebhook = webhookRules(false);
+
+const validateWebhookUpdate = webhookRules(true);
+
 // Pagination validation
 const validatePagination = [
   query('page')
@@ -240,10 +928,41 @@ const validateObjectId = (field) => [
 module.exports = {
   validateUserRegistration,
   validateUserLogin,
+  validateRefreshToken,
   validateUserUpdate,
   validateShopRegistration,
   validateDeviceRegistration,
+  validateDeviceTokenRequest,
+  validateDeviceCommand,
+  validateCommandAck,
+  validateDeviceCheckIn,
+  validateLocationReport,
+  validateLocationQuery,
   validateEMIUpdate,
+  validateEmiPlan,
+  validatePenaltyWaiver,
+  validateStatementQuery,
+  validatePaymentRecord,
+  validatePaymentVoid,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateLockPolicy,
+  validateLockPolicyUpdate,
+  validateEscalation,
+  validateLatePenalty,
+  validateApprovalSettings,
+  validateGeofence,
+  validateGeofenceUpdate,
+  validateDeviceGeofences,
+  validateLogExport,
+  validateStaff,
+  validateStaffUpdate,
+  validateApprovalDecision,
+  validateApprovalComment,
+  validateDeviceLock,
+  validateLockSchedule,
+  validateTemporaryUnlock,
+  validateOfflineUnlockCode,
   validatePagination,
   validateObjectId,
   handleValidationErrors
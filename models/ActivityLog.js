@@ -1,4 +1,91 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// Every action the application records, with its category and default severity
+const ACTIONS = {
+  // Device actions
+  device_locked: { category: 'device', severity: 'medium' },
+  device_unlocked: { category: 'device', severity: 'low' },
+  device_registered: { category: 'device', severity: 'low' },
+  device_viewed: { category: 'device', severity: 'low' },
+  devices_viewed: { category: 'device', severity: 'low' },
+  device_command_sent: { category: 'device', severity: 'low' },
+  bulk_lock: { category: 'device', severity: 'medium' },
+  bulk_unlock: { category: 'device', severity: 'low' },
+  device_credentials_rotated: { category: 'security', severity: 'medium' },
+  device_credentials_revoked: { category: 'security', severity: 'high' },
+  approval_requested: { category: 'device', severity: 'medium' },
+  approval_approved: { category: 'device', severity: 'medium' },
+  approval_rejected: { category: 'device', severity: 'medium' },
+  approval_cancelled: { category: 'device', severity: 'low' },
+  approval_expired: { category: 'device', severity: 'low' },
+  approval_commented: { category: 'device', severity: 'low' },
+  lock_action_scheduled: { category: 'device', severity: 'low' },
+  lock_action_cancelled: { category: 'device', severity: 'low' },
+  lock_action_skipped: { category: 'device', severity: 'low' },
+  lock_action_failed: { category: 'device', severity: 'high' },
+  temporary_unlock_granted: { category: 'device', severity: 'medium' },
+  device_locations_viewed: { category: 'device', severity: 'low' },
+  device_geofences_assigned: { category: 'device', severity: 'low' },
+  // User actions
+  user_login: { category: 'user', severity: 'low' },
+  user_logout: { category: 'user', severity: 'low' },
+  user_logout_all: { category: 'user', severity: 'low' },
+  login_failed: { category: 'user', severity: 'medium' },
+  password_changed: { category: 'user', severity: 'medium' },
+  user_created: { category: 'user', severity: 'low' },
+  user_updated: { category: 'user', severity: 'low' },
+  user_deleted: { category: 'user', severity: 'medium' },
+  user_viewed: { category: 'user', severity: 'low' },
+  users_viewed: { category: 'user', severity: 'low' },
+  staff_created: { category: 'user', severity: 'medium' },
+  staff_updated: { category: 'user', severity: 'medium' },
+  staff_deleted: { category: 'user', severity: 'medium' },
+  // Shop actions
+  shop_created: { category: 'shop', severity: 'low' },
+  shop_updated: { category: 'shop', severity: 'low' },
+  shop_deleted: { category: 'shop', severity: 'high' },
+  shop_viewed: { category: 'shop', severity: 'low' },
+  shops_viewed: { category: 'shop', severity: 'low' },
+  shop_stats_viewed: { category: 'shop', severity: 'low' },
+  webhook_created: { category: 'shop', severity: 'low' },
+  webhook_updated: { category: 'shop', severity: 'low' },
+  webhook_deleted: { category: 'shop', severity: 'medium' },
+  webhook_secret_rotated: { category: 'shop', severity: 'medium' },
+  webhook_disabled: { category: 'shop', severity: 'medium' },
+  lock_policy_created: { category: 'shop', severity: 'low' },
+  lock_policy_updated: { category: 'shop', severity: 'low' },
+  lock_policy_deleted: { category: 'shop', severity: 'medium' },
+  escalation_updated: { category: 'shop', severity: 'low' },
+  late_penalty_updated: { category: 'shop', severity: 'medium' },
+  approval_settings_updated: { category: 'shop', severity: 'medium' },
+  geofence_created: { category: 'shop', severity: 'low' },
+  geofence_updated: { category: 'shop', severity: 'low' },
+  geofence_deleted: { category: 'shop', severity: 'medium' },
+  // Payment actions
+  emi_payment: { category: 'payment', severity: 'low' },
+  emi_default: { category: 'payment', severity: 'high' },
+  emi_default_cleared: { category: 'payment', severity: 'low' },
+  emi_escalated: { category: 'payment', severity: 'medium' },
+  emi_escalation_rolled_back: { category: 'payment', severity: 'low' },
+  emi_plan_created: { category: 'payment', severity: 'low' },
+  payment_voided: { category: 'payment', severity: 'medium' },
+  penalty_applied: { category: 'payment', severity: 'low' },
+  penalty_waived: { category: 'payment', severity: 'medium' },
+  statement_viewed: { category: 'payment', severity: 'low' },
+  // Admin actions
+  admin_deleted: { category: 'admin', severity: 'high' },
+  dashboard_viewed: { category: 'admin', severity: 'low' },
+  logs_viewed: { category: 'admin', severity: 'low' },
+  logs_verified: { category: 'admin', severity: 'low' },
+  logs_exported: { category: 'admin', severity: 'medium' },
+  logs_purged: { category: 'admin', severity: 'medium' },
+  audit_checkpoints_exported: { category: 'admin', severity: 'low' },
+  system_health_viewed: { category: 'admin', severity: 'low' },
+  // Security actions
+  security_alert: { category: 'security', severity: 'high' },
+  geofence_reentered: { category: 'security', severity: 'low' }
+};
 
 const activityLogSchema = new mongoose.Schema({
   user: {
@@ -18,41 +105,7 @@ const activityLogSchema = new mongoose.Schema({
   action: {
     type: String,
     required: [true, 'Action is required'],
-    enum: [
-      // Device actions
-      'device_locked',
-      'device_unlocked',
-      'device_registered',
-      'device_viewed',
-      'devices_viewed',
-      'bulk_lock',
-      'bulk_unlock',
-      // User actions
-      'user_login',
-      'user_logout',
-      'user_created',
-      'user_updated',
-      'user_deleted',
-      'user_viewed',
-      'users_viewed',
-      // Shop actions
-      'shop_created',
-      'shop_updated',
-      'shop_deleted',
-      'shop_viewed',
-      'shops_viewed',
-      'shop_stats_viewed',
-      // Payment actions
-      'emi_payment',
-      'emi_default',
-      // Admin actions
-      'admin_action',
-      'dashboard_viewed',
-      'logs_viewed',
-      'system_health_viewed',
-      // Security actions
-      'security_alert'
-    ]
+    enum: Object.keys(ACTIONS)
   },
   description: {
     type: String,
@@ -85,7 +138,18 @@ const activityLogSchema = new mongoose.Schema({
     type: String,
     enum: ['device', 'user', 'shop', 'payment', 'security', 'admin'],
     required: [true, 'Category is required']
-  }
+  },
+  // Hash chain: one chain per shop plus a global chain for shop-less entries.
+  // Each entry stores the hash of its predecessor in the same chain.
+  chain: String,
+  sequence: Number,
+  previousHash: String,
+  hash: String,
+  // Hash of the content retention may remove, kept so a purged stub's hash
+  // can still be recomputed
+  contentHash: String,
+  // Set when retention removed the entry's content, leaving only its chain stub
+  purgedAt: Date
 }, {
   timestamps: true
 });
@@ -98,13 +162,146 @@ activityLogSchema.index({ action: 1, createdAt: -1 });
 activityLogSchema.index({ performedBy: 1, createdAt: -1 });
 activityLogSchema.index({ category: 1, createdAt: -1 });
 activityLogSchema.index({ severity: 1, createdAt: -1 });
+activityLogSchema.index(
+  { chain: 1, sequence: 1 },
+  { unique: true, partialFilterExpression: { sequence: { $exists: true } } }
+);
+
+const GENESIS_HASH = '0'.repeat(64);
+const GLOBAL_CHAIN = 'global';
+const MAX_APPEND_ATTEMPTS = 5;
+
+// An entry's hash is H(previousHash, header hash, content hash). The header
+// stays in a purged stub; the content is what retention removes.
+const HEADER_FIELDS = ['chain', 'sequence', 'shop', 'action', 'category', 'severity', 'createdAt'];
+const CONTENT_FIELDS = ['user', 'device', 'performedBy', 'description', 'metadata', 'ipAddress', 'userAgent'];
+
+// Fields covered by the single hash of entries written before the split
+const LEGACY_HASHED_FIELDS = [
+  'chain', 'sequence', 'previousHash', 'user', 'shop', 'device', 'action', 'description',
+  'category', 'severity', 'performedBy', 'ipAddress', 'userAgent', 'metadata', 'createdAt'
+];
+
+// Stable JSON form: sorted keys, ids and dates as strings, and empty values
+// dropped so a document hashes the same before and after a database round trip
+const canonicalize = (value) => {
+  if (value === null || value === undefined) {
+    return undefined;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value.toHexString === 'function') {
+    return value.toHexString();
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => {
+      const canonical = canonicalize(item);
+      return canonical === undefined ? null : canonical;
+    });
+  }
+  if (typeof value === 'object') {
+    const result = {};
+    Object.keys(value).sort().forEach(key => {
+      const canonical = canonicalize(value[key]);
+      if (canonical !== undefined) {
+        result[key] = canonical;
+      }
+    });
+    return Object.keys(result).length > 0 ? result : undefined;
+  }
+  return value;
+};
+
+const chainFor = (shop) => (shop ? shop.toString() : GLOBAL_CHAIN);
+
+// Appends are serialized per chain within this process; the unique
+// (chain, sequence) index catches appends racing from other processes
+const chainQueues = new Map();
+
+const enqueue = (chain, task) => {
+  const previous = chainQueues.get(chain) || Promise.resolve();
+  const result = previous.then(task, task);
+  const tail = result.catch(() => {});
+  chainQueues.set(chain, tail);
+  tail.then(() => {
+    if (chainQueues.get(chain) === tail) {
+      chainQueues.delete(chain);
+    }
+  });
+  return result;
+};
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+
+const hashFields = (doc, fields) => {
+  const entry = doc.toObject({ depopulate: true });
+  const payload = {};
+  fields.forEach(field => {
+    payload[field] = entry[field];
+  });
+  return sha256(JSON.stringify(canonicalize(payload)) || '');
+};
+
+activityLogSchema.methods.computeContentHash = function() {
+  return hashFields(this, CONTENT_FIELDS);
+};
+
+// Uses the stored content hash, so it also holds for purged stubs
+activityLogSchema.methods.computeHash = function() {
+  return sha256(`${this.previousHash}.${hashFields(this, HEADER_FIELDS)}.${this.contentHash}`);
+};
+
+activityLogSchema.methods.computeLegacyHash = function() {
+  return hashFields(this, LEGACY_HASHED_FIELDS);
+};
+
+// Link a new entry to the head of its chain and save it
+const appendToChain = async (log) => {
+  for (let attempt = 1; ; attempt++) {
+    const head = await log.constructor.findOne({ chain: log.chain, sequence: { $exists: true } })
+      .sort({ sequence: -1 })
+      .select('sequence hash');
+
+    log.sequence = head ? head.sequence + 1 : 1;
+    log.previousHash = head ? head.hash : GENESIS_HASH;
+    log.contentHash = log.computeContentHash();
+    log.hash = log.computeHash();
+
+    try {
+      return await log.save();
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= MAX_APPEND_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Entries are append-only; changing a saved entry would break its chain.
+// Only the retention purge reduces expired entries to stubs.
+activityLogSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity log entries cannot be modified'));
+  }
+  next();
+});
+
+activityLogSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  next(new Error('Activity log entries cannot be modified'));
+});
 
 // Static method to create activity log
 activityLogSchema.statics.createLog = async function(logData) {
   try {
     const log = new this(logData);
-    await log.save();
-    return log;
+    log.chain = chainFor(log.shop);
+    // Set before hashing so the stored timestamp is the hashed one
+    if (!log.createdAt) {
+      log.createdAt = new Date();
+    }
+
+    return await enqueue(log.chain, () => appendToChain(log));
   } catch (error) {
     console.error('Error creating activity log:', error);
     throw error;
@@ -151,4 +348,10 @@ activityLogSchema.statics.getLogsPaginated = async function(filter = {}, options
   };
 };
 
+activityLogSchema.statics.ACTIONS = ACTIONS;
+activityLogSchema.statics.CONTENT_FIELDS = CONTENT_FIELDS;
+activityLogSchema.statics.GENESIS_HASH = GENESIS_HASH;
+activityLogSchema.statics.GLOBAL_CHAIN = GLOBAL_CHAIN;
+activityLogSchema.statics.chainFor = chainFor;
+
 module.exports = mongoose.model('ActivityLog', activityLogSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+// Operations a shop can put under maker-checker control
+const OPERATIONS = ['lock', 'unlock', 'bulk_lock', 'bulk_unlock'];
+
+const commentSchema = new mongoose.Schema({
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  text: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A lock or unlock waiting for a second user's approval. Nothing happens to
+// the devices until the request is approved.
+const approvalRequestSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  operation: {
+    type: String,
+    required: [true, 'Operation is required'],
+    enum: OPERATIONS
+  },
+  devices: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device'
+  }],
+  // Lock reason and policy, for lock operations
+  reason: String,
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LockPolicy'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requested by is required']
+  },
+  decidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  decidedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  comments: [commentSchema],
+  // Outcome of running the operation after approval
+  executedAt: Date,
+  result: {
+    successful: [mongoose.Schema.Types.Mixed],
+    failed: [mongoose.Schema.Types.Mixed]
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+approvalRequestSchema.index({ shop: 1, status: 1, createdAt: -1 });
+approvalRequestSchema.index({ status: 1, expiresAt: 1 });
+approvalRequestSchema.index({ devices: 1, status: 1 });
+
+approvalRequestSchema.statics.OPERATIONS = OPERATIONS;
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// Signed snapshot of an activity log chain head. Exported copies let an
+// auditor prove that entries up to the checkpoint were not rewritten later.
+const auditCheckpointSchema = new mongoose.Schema({
+  chain: {
+    type: String,
+    required: [true, 'Chain is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+  sequence: {
+    type: Number,
+    required: [true, 'Sequence is required']
+  },
+  hash: {
+    type: String,
+    required: [true, 'Hash is required']
+  },
+  signedAt: {
+    type: Date,
+    required: true
+  },
+  algorithm: {
+    type: String,
+    required: true
+  },
+  signature: {
+    type: String,
+    required: [true, 'Signature is required']
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+auditCheckpointSchema.index({ chain: 1, sequence: 1 }, { unique: true });
+auditCheckpointSchema.index({ signedAt: -1 });
+
+module.exports = mongoose.model('AuditCheckpoint', auditCheckpointSchema);
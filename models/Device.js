@@ -1,4 +1,66 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const LockPolicy = require('./LockPolicy');
+
+const LOCK_REASONS = ['emi_default', 'manual_lock', 'suspicious_activity', 'maintenance'];
+
+// A lock or unlock to run later, picked up by the lock schedule job
+const scheduledActionSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+    enum: ['lock', 'unlock']
+  },
+  runAt: {
+    type: Date,
+    required: true
+  },
+  // Lock reason, for lock actions
+  reason: {
+    type: String,
+    enum: LOCK_REASONS
+  },
+  // 'if_unpaid' skips the action unless the customer still has overdue installments
+  condition: {
+    type: String,
+    enum: ['always', 'if_unpaid'],
+    default: 'always'
+  },
+  // Lock policy for lock actions; none means the shop default
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LockPolicy'
+  },
+  // Set on the relock that ends a temporary unlock
+  relock: {
+    type: Boolean,
+    default: false
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'executed', 'skipped', 'failed', 'cancelled'],
+    default: 'pending'
+  },
+  // Why the action was skipped, failed or cancelled
+  outcome: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  executedAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
 
 const deviceSchema = new mongoose.Schema({
   user: {
@@ -44,11 +106,33 @@ const deviceSchema = new mongoose.Schema({
       type: String,
       trim: true
     },
+    battery: {
+      level: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      isCharging: Boolean,
+      updatedAt: Date
+    },
+    // Newest fix reported by the locker app; the full track is in DeviceLocation
     lastKnownLocation: {
       latitude: Number,
       longitude: Number,
+      accuracy: Number,
       address: String,
-      timestamp: Date
+      timestamp: Date,
+      // The same position as GeoJSON, for spatial queries
+      point: {
+        type: {
+          type: String,
+          enum: ['Point']
+        },
+        coordinates: {
+          type: [Number],
+          default: undefined
+        }
+      }
     }
   },
   lockStatus: {
@@ -60,13 +144,37 @@ const deviceSchema = new mongoose.Schema({
     unlockedAt: Date,
     lockReason: {
       type: String,
-      enum: ['emi_default', 'manual_lock', 'suspicious_activity', 'maintenance'],
+      enum: LOCK_REASONS,
       default: 'emi_default'
     },
     lockedBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
-    }
+    },
+    // Shop lock policy in force; none means the built-in full lock
+    policy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LockPolicy'
+    },
+    level: {
+      type: String,
+      enum: LockPolicy.LEVELS,
+      default: 'full'
+    },
+    // Latest lock/unlock command and whether the handset has applied it
+    lastCommand: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'DeviceCommand'
+    },
+    syncStatus: {
+      type: String,
+      enum: ['pending', 'delivered', 'executed', 'failed'],
+      default: 'executed'
+    },
+    syncedAt: Date,
+    // End of a temporary unlock; the pending relock action runs at this time
+    unlockedUntil: Date,
+    scheduledActions: [scheduledActionSchema]
   },
   connectionStatus: {
     isOnline: {
@@ -75,6 +183,8 @@ const deviceSchema = new mongoose.Schema({
     },
     lastSeen: Date,
     lastHeartbeat: Date,
+    // Set once a "locked device gone dark" alert is raised; cleared on next heartbeat
+    offlineAlertAt: Date,
     connectionType: {
       type: String,
       enum: ['wifi', 'mobile', 'offline'],
@@ -96,6 +206,42 @@ const deviceSchema = new mongoose.Schema({
     },
     lastSecurityCheck: Date
   },
+  // Areas the device must stay within; inside any one of them counts
+  geofences: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Geofence'
+  }],
+  // Result of the latest location checked against the geofences, so alerts
+  // fire on leaving rather than on every report from outside
+  geofenceStatus: {
+    isOutside: {
+      type: Boolean,
+      default: false
+    },
+    changedAt: Date
+  },
+  // Enrollment secret for the locker agent; only the hash is stored
+  credentials: {
+    secretHash: {
+      type: String,
+      select: false
+    },
+    version: {
+      type: Number,
+      default: 0
+    },
+    issuedAt: Date,
+    revokedAt: Date,
+    // Last HOTP counter used for an offline unlock code
+    offlineCounter: {
+      type: Number,
+      default: 0
+    },
+    // When the most recent offline unlock codes were issued, newest last and
+    // capped at the daily limit, so the limit is checked in the same update
+    // that reserves the counter
+    offlineIssuedAt: [Date]
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -110,36 +256,163 @@ deviceSchema.index({ shop: 1 });
 deviceSchema.index({ deviceId: 1 }, { unique: true });
 deviceSchema.index({ imeiNumber: 1 }, { unique: true });
 deviceSchema.index({ 'lockStatus.isLocked': 1 });
-deviceSchema.index({ 'connectionStatus.isOnline': 1 });
+deviceSchema.index({ 'connectionStatus.isOnline': 1, 'connectionStatus.lastHeartbeat': 1 });
+deviceSchema.index({ 'lockStatus.scheduledActions.status': 1, 'lockStatus.scheduledActions.runAt': 1 });
+deviceSchema.index({ 'deviceInfo.lastKnownLocation.point': '2dsphere' });
+deviceSchema.index({ geofences: 1 });
 
 // Update last seen when device comes online
 deviceSchema.methods.updateLastSeen = function() {
   this.connectionStatus.lastSeen = new Date();
   this.connectionStatus.lastHeartbeat = new Date();
   this.connectionStatus.isOnline = true;
+  this.connectionStatus.offlineAlertAt = undefined;
   return this.save();
 };
 
-// Lock device method
-deviceSchema.methods.lockDevice = function(reason, lockedBy) {
+// Move the last known location forward; fixes older than it are ignored.
+// Returns whether it changed.
+deviceSchema.methods.setLastKnownLocation = function({ latitude, longitude, accuracy, recordedAt }) {
+  const current = this.deviceInfo.lastKnownLocation;
+  if (current && current.timestamp && current.timestamp >= recordedAt) {
+    return false;
+  }
+
+  this.deviceInfo.lastKnownLocation = {
+    latitude,
+    longitude,
+    accuracy,
+    timestamp: recordedAt,
+    point: { type: 'Point', coordinates: [longitude, latitude] }
+  };
+  return true;
+};
+
+// Apply a check-in report from the locker app and mark the device online
+deviceSchema.methods.recordCheckIn = function(report = {}) {
+  const { appVersion, androidVersion, connectionType, battery, security } = report;
+
+  if (appVersion) this.deviceInfo.appVersion = appVersion;
+  if (androidVersion) this.deviceInfo.androidVersion = androidVersion;
+  if (connectionType) this.connectionStatus.connectionType = connectionType;
+
+  if (battery) {
+    this.deviceInfo.battery = {
+      level: battery.level,
+      isCharging: battery.isCharging,
+      updatedAt: new Date()
+    };
+  }
+
+  if (security) {
+    ['appInstalled', 'appTampered', 'rootDetected'].forEach(flag => {
+      if (typeof security[flag] === 'boolean') {
+        this.security[flag] = security[flag];
+      }
+    });
+    this.security.lastSecurityCheck = new Date();
+  }
+
+  return this.updateLastSeen();
+};
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Issue a new enrollment secret, invalidating the previous one and any device
+// tokens minted from it. Returns the plain secret, which is never stored.
+deviceSchema.methods.issueCredentials = function() {
+  const secret = crypto.randomBytes(32).toString('hex');
+  this.credentials.secretHash = hashSecret(secret);
+  this.credentials.version = (this.credentials.version || 0) + 1;
+  this.credentials.issuedAt = new Date();
+  this.credentials.revokedAt = undefined;
+  return secret;
+};
+
+// Revoke the current secret; the agent must be re-enrolled afterwards
+deviceSchema.methods.revokeCredentials = function() {
+  this.credentials.secretHash = undefined;
+  this.credentials.version = (this.credentials.version || 0) + 1;
+  this.credentials.revokedAt = new Date();
+};
+
+// Requires the document to be loaded with +credentials.secretHash
+deviceSchema.methods.verifySecret = function(secret) {
+  if (!secret || !this.credentials.secretHash || this.credentials.revokedAt) {
+    return false;
+  }
+
+  const expected = Buffer.from(this.credentials.secretHash, 'hex');
+  const actual = Buffer.from(hashSecret(secret), 'hex');
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+// Any lock or unlock ends a temporary unlock window, so its pending relock
+// is dropped
+const endTemporaryUnlock = (device) => {
+  if (!device.lockStatus.unlockedUntil) {
+    return;
+  }
+
+  device.lockStatus.unlockedUntil = undefined;
+  device.lockStatus.scheduledActions.forEach(item => {
+    if (item.relock && item.status === 'pending') {
+      item.status = 'cancelled';
+      item.outcome = 'Superseded by a later lock or unlock';
+      item.cancelledAt = new Date();
+    }
+  });
+};
+
+// Lock device method. Locking an already locked device switches its policy.
+deviceSchema.methods.lockDevice = function(reason, lockedBy, policy) {
+  endTemporaryUnlock(this);
   this.lockStatus.isLocked = true;
   this.lockStatus.lockedAt = new Date();
   this.lockStatus.lockReason = reason || 'emi_default';
   this.lockStatus.lockedBy = lockedBy;
+  this.lockStatus.policy = policy ? policy._id : undefined;
+  this.lockStatus.level = policy ? policy.level : 'full';
   return this.save();
 };
 
+// Whether the device is already locked under this policy (null for the built-in full lock)
+deviceSchema.methods.isLockedWith = function(policy) {
+  if (!this.lockStatus.isLocked) {
+    return false;
+  }
+
+  const current = this.lockStatus.policy ? this.lockStatus.policy.toString() : null;
+  return current === (policy ? policy._id.toString() : null);
+};
+
 // Unlock device method
 deviceSchema.methods.unlockDevice = function() {
+  endTemporaryUnlock(this);
   this.lockStatus.isLocked = false;
   this.lockStatus.unlockedAt = new Date();
   return this.save();
 };
 
+deviceSchema.methods.findScheduledAction = function(actionId) {
+  return this.lockStatus.scheduledActions.id(actionId);
+};
+
+// Pending actions whose time has come, oldest first
+deviceSchema.methods.getDueScheduledActions = function(asOf = new Date()) {
+  return this.lockStatus.scheduledActions
+    .filter(item => item.status === 'pending' && item.runAt <= asOf)
+    .sort((a, b) => a.runAt - b.runAt);
+};
+
 // Transform JSON output to avoid circular references
 deviceSchema.methods.toJSON = function() {
   const device = this.toObject();
 
+  if (device.credentials) {
+    delete device.credentials.secretHash;
+  }
+
   // If user is populated, only include essential fields
   if (device.user && typeof device.user === 'object' && device.user._id) {
     device.user = {
@@ -170,4 +443,6 @@ deviceSchema.methods.toJSON = function() {
   return device;
 };
 
+deviceSchema.statics.LOCK_REASONS = LOCK_REASONS;
+
 module.exports = mongoose.model('Device', deviceSchema);
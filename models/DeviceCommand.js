@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const deviceCommandSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  type: {
+    type: String,
+    required: [true, 'Command type is required'],
+    enum: ['lock', 'unlock', 'message', 'wipe_request']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'executed', 'failed'],
+    default: 'pending'
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  deliveryAttempts: {
+    type: Number,
+    default: 0
+  },
+  deliveredAt: Date,
+  executedAt: Date,
+  failedAt: Date,
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  response: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  expiresAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+deviceCommandSchema.index({ device: 1, status: 1, createdAt: 1 });
+deviceCommandSchema.index({ shop: 1, createdAt: -1 });
+
+// Get commands the handset still has to execute, oldest first
+deviceCommandSchema.statics.getOutstanding = function(deviceId) {
+  return this.find({
+    device: deviceId,
+    status: { $in: ['pending', 'delivered'] },
+    $or: [
+      { expiresAt: null },
+      { expiresAt: { $gt: new Date() } }
+    ]
+  }).sort({ createdAt: 1 });
+};
+
+// Mark command as handed over to the handset. Uses atomic updates because the
+// socket receipt and an HTTP acknowledgement can race each other.
+deviceCommandSchema.methods.markDelivered = async function() {
+  const now = new Date();
+  const delivered = await this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    { $set: { status: 'delivered', deliveredAt: now }, $inc: { deliveryAttempts: 1 } },
+    { new: true }
+  );
+
+  if (!delivered) {
+    await this.constructor.updateOne({ _id: this._id }, { $inc: { deliveryAttempts: 1 } });
+    return false;
+  }
+
+  this.status = delivered.status;
+  this.deliveredAt = delivered.deliveredAt;
+  this.deliveryAttempts = delivered.deliveryAttempts;
+  return true;
+};
+
+// Record the handset's acknowledgement
+deviceCommandSchema.methods.acknowledge = function(status, { message, data } = {}) {
+  this.status = status;
+  this.response = { message, data };
+
+  if (!this.deliveredAt) {
+    this.deliveredAt = new Date();
+  }
+
+  if (status === 'executed') {
+    this.executedAt = new Date();
+  } else {
+    this.failedAt = new Date();
+    this.failureReason = message || 'Command failed on device';
+  }
+
+  return this.save();
+};
+
+// Shape sent to the handset
+deviceCommandSchema.methods.toDevicePayload = function() {
+  return {
+    id: this._id,
+    type: this.type,
+    payload: this.payload,
+    issuedAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('DeviceCommand', deviceCommandSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Location history is kept for 90 days by default
+const LOCATION_RETENTION_SECONDS = (parseInt(process.env.LOCATION_RETENTION_DAYS) || 90) * 24 * 60 * 60;
+
+const LOCATION_PROVIDERS = ['gps', 'network', 'fused', 'passive'];
+
+// One position reported by the locker app
+const deviceLocationSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  // GeoJSON point; coordinates are [longitude, latitude]
+  location: {
+    type: {
+      type: String,
+      enum: ['Point'],
+      default: 'Point'
+    },
+    coordinates: {
+      type: [Number],
+      required: true
+    }
+  },
+  // Radius of uncertainty in metres
+  accuracy: {
+    type: Number,
+    min: 0
+  },
+  altitude: Number,
+  // Metres per second
+  speed: {
+    type: Number,
+    min: 0
+  },
+  provider: {
+    type: String,
+    enum: LOCATION_PROVIDERS
+  },
+  // When the handset took the fix; batches sent after a spell offline arrive late
+  recordedAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Index for efficient queries
+deviceLocationSchema.index({ device: 1, recordedAt: -1 });
+deviceLocationSchema.index({ shop: 1, recordedAt: -1 });
+deviceLocationSchema.index({ location: '2dsphere' });
+deviceLocationSchema.index({ recordedAt: 1 }, { expireAfterSeconds: LOCATION_RETENTION_SECONDS });
+
+deviceLocationSchema.statics.PROVIDERS = LOCATION_PROVIDERS;
+deviceLocationSchema.statics.RETENTION_SECONDS = LOCATION_RETENTION_SECONDS;
+
+module.exports = mongoose.model('DeviceLocation', deviceLocationSchema);
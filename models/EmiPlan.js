@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Add months, clamping to the last day of shorter months (Jan 31 -> Feb 28)
+const addMonths = (date, months) => {
+  const result = new Date(date);
+  const day = result.getDate();
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+  result.setDate(Math.min(day, lastDay));
+  return result;
+};
+
+const penaltySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['flat_fee', 'daily'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  // Day the fee accrued for; keeps the daily job idempotent
+  accruedFor: {
+    type: Date,
+    required: true
+  },
+  waived: {
+    type: Boolean,
+    default: false
+  },
+  waivedAt: Date,
+  waivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  waiveReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: { createdAt: 'appliedAt', updatedAt: false }
+});
+
+const installmentSchema = new mongoose.Schema({
+  number: {
+    type: Number,
+    required: true
+  },
+  dueDate: {
+    type: Date,
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  principalComponent: {
+    type: Number,
+    default: 0
+  },
+  interestComponent: {
+    type: Number,
+    default: 0
+  },
+  paidAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  paidAt: Date,
+  // Sum of penalties that have not been waived
+  lateFee: {
+    type: Number,
+    default: 0
+  },
+  penalties: [penaltySchema],
+  status: {
+    type: String,
+    enum: ['pending', 'partially_paid', 'paid', 'overdue'],
+    default: 'pending'
+  }
+}, {
+  _id: true
+});
+
+// Amount owed for this installment including late fees
+installmentSchema.methods.getDue = function() {
+  return roundCurrency(this.amount + (this.lateFee || 0));
+};
+
+installmentSchema.methods.getOutstanding = function() {
+  return Math.max(0, roundCurrency(this.getDue() - this.paidAmount));
+};
+
+installmentSchema.methods.recalculateLateFee = function() {
+  this.lateFee = roundCurrency(
+    this.penalties.filter(item => !item.waived).reduce((sum, item) => sum + item.amount, 0)
+  );
+  return this.lateFee;
+};
+
+const emiPlanSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  principal: {
+    type: Number,
+    required: [true, 'Principal is required'],
+    min: [1, 'Principal must be greater than zero']
+  },
+  tenureMonths: {
+    type: Number,
+    required: [true, 'Tenure is required'],
+    min: [1, 'Tenure must be at least 1 month'],
+    max: [120, 'Tenure cannot exceed 120 months']
+  },
+  interestRate: {
+    type: Number,
+    default: 0,
+    min: [0, 'Interest rate cannot be negative'],
+    max: [100, 'Interest rate cannot exceed 100%']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  monthlyEmi: {
+    type: Number,
+    required: true
+  },
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  installments: [installmentSchema],
+  status: {
+    type: String,
+    enum: ['active', 'completed', 'defaulted', 'suspended'],
+    default: 'active'
+  },
+  // Rung of the shop's escalation ladder reached, kept by the escalation service
+  escalation: {
+    // Threshold of the step reached; 0 when not escalated
+    days: {
+      type: Number,
+      default: 0
+    },
+    action: String,
+    escalatedAt: Date,
+    // Devices the ladder locked, released when it steps back down
+    lockedDevices: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Device'
+    }]
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true,
+  // Payments and jobs update installments concurrently
+  optimisticConcurrency: true
+});
+
+// Index for efficient queries
+emiPlanSchema.index({ user: 1, status: 1 });
+emiPlanSchema.index({ shop: 1, status: 1 });
+emiPlanSchema.index({ 'installments.dueDate': 1, status: 1 });
+
+// Reducing-balance EMI: P * r * (1 + r)^n / ((1 + r)^n - 1), r = monthly rate
+const calculateMonthlyEmi = (principal, annualRate, tenureMonths) => {
+  const monthlyRate = annualRate / 12 / 100;
+  if (monthlyRate === 0) {
+    return principal / tenureMonths;
+  }
+  const growth = Math.pow(1 + monthlyRate, tenureMonths);
+  return principal * monthlyRate * growth / (growth - 1);
+};
+
+// Build the installment schedule; the last installment absorbs rounding
+const buildSchedule = ({ principal, interestRate, tenureMonths, startDate }) => {
+  const monthlyRate = interestRate / 12 / 100;
+  const monthlyEmi = roundCurrency(calculateMonthlyEmi(principal, interestRate, tenureMonths));
+  const installments = [];
+  let balance = principal;
+
+  for (let number = 1; number <= tenureMonths; number++) {
+    const dueDate = addMonths(startDate, number - 1);
+
+    const interestComponent = roundCurrency(balance * monthlyRate);
+    let principalComponent = roundCurrency(monthlyEmi - interestComponent);
+    if (number === tenureMonths) {
+      principalComponent = roundCurrency(balance);
+    }
+    balance = roundCurrency(balance - principalComponent);
+
+    installments.push({
+      number,
+      dueDate,
+      amount: roundCurrency(principalComponent + interestComponent),
+      principalComponent,
+      interestComponent
+    });
+  }
+
+  return {
+    monthlyEmi,
+    totalAmount: roundCurrency(installments.reduce((sum, item) => sum + item.amount, 0)),
+    installments
+  };
+};
+
+// Create a plan with its generated schedule (not yet saved)
+emiPlanSchema.statics.generate = function({ user, shop, principal, tenureMonths, interestRate = 0, startDate, createdBy }) {
+  const start = startDate ? new Date(startDate) : new Date();
+  const schedule = buildSchedule({ principal, interestRate, tenureMonths, startDate: start });
+
+  return new this({
+    user,
+    shop,
+    principal,
+    tenureMonths,
+    interestRate,
+    startDate: start,
+    createdBy,
+    ...schedule
+  });
+};
+
+emiPlanSchema.virtual('paidAmount').get(function() {
+  return roundCurrency(this.installments.reduce((sum, item) => sum + item.paidAmount, 0));
+});
+
+emiPlanSchema.virtual('lateFeeAmount').get(function() {
+  return roundCurrency(this.installments.reduce((sum, item) => sum + (item.lateFee || 0), 0));
+});
+
+emiPlanSchema.virtual('remainingAmount').get(function() {
+  return roundCurrency(this.totalAmount + this.lateFeeAmount - this.paidAmount);
+});
+
+// Find a penalty and its installment by penalty id
+emiPlanSchema.methods.findPenalty = function(penaltyId) {
+  for (const installment of this.installments) {
+    const penalty = installment.penalties.id(penaltyId);
+    if (penalty) {
+      return { installment, penalty };
+    }
+  }
+  return null;
+};
+
+// Installments not yet fully paid, oldest first
+emiPlanSchema.methods.getUnpaidInstallments = function() {
+  return this.installments
+    .filter(item => item.status !== 'paid')
+    .sort((a, b) => a.dueDate - b.dueDate);
+};
+
+// Recompute installment statuses from paid amounts and due dates
+emiPlanSchema.methods.refreshStatuses = function(asOf = new Date()) {
+  this.installments.forEach(item => {
+    if (item.paidAmount >= item.getDue()) {
+      item.status = 'paid';
+    } else if (item.dueDate < asOf) {
+      item.status = 'overdue';
+    } else if (item.paidAmount > 0) {
+      item.status = 'partially_paid';
+    } else {
+      item.status = 'pending';
+    }
+  });
+
+  // A defaulted plan is only reactivated (and then completed) by the default
+  // check, which also releases the devices locked for it
+  if (this.status === 'active' && this.installments.every(item => item.status === 'paid')) {
+    this.status = 'completed';
+  }
+
+  return this;
+};
+
+// Flat summary stored on User.emiDetails for listings and shop statistics
+emiPlanSchema.methods.toEmiDetails = function() {
+  const unpaid = this.getUnpaidInstallments();
+
+  return {
+    totalAmount: this.totalAmount,
+    paidAmount: this.paidAmount,
+    remainingAmount: this.remainingAmount,
+    monthlyEmi: this.monthlyEmi,
+    penaltyAmount: this.lateFeeAmount,
+    dueDate: unpaid[0]?.dueDate,
+    nextDueDate: unpaid[1]?.dueDate,
+    status: this.status
+  };
+};
+
+// Write the derived summary back to the customer
+emiPlanSchema.methods.syncUser = function() {
+  const User = mongoose.model('User');
+  return User.updateOne({ _id: this.user }, { $set: { emiDetails: this.toEmiDetails() } });
+};
+
+emiPlanSchema.set('toJSON', { virtuals: true });
+emiPlanSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('EmiPlan', emiPlanSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One record per gateway transaction; the unique index makes webhook
+// processing idempotent when the gateway redelivers the same event
+const gatewayEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provider is required']
+  },
+  transactionId: {
+    type: String,
+    required: [true, 'Transaction ID is required'],
+    trim: true
+  },
+  eventType: String,
+  amount: Number,
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'failed'],
+    default: 'processing'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop'
+  },
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  attempts: {
+    type: Number,
+    default: 1
+  },
+  error: {
+    type: String,
+    trim: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+gatewayEventSchema.index({ provider: 1, transactionId: 1 }, { unique: true });
+gatewayEventSchema.index({ status: 1, createdAt: -1 });
+gatewayEventSchema.index({ shop: 1, createdAt: -1 });
+
+module.exports = mongoose.model('GatewayEvent', gatewayEventSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const GEOFENCE_SHAPES = ['circle', 'polygon'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle distance between two [longitude, latitude] positions
+const distanceMeters = ([lng1, lat1], [lng2, lat2]) => {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(a));
+};
+
+// Ray casting on longitude/latitude; accurate enough at district scale
+const ringContains = (ring, [lng, lat]) => {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// An area a shop allows its financed devices to be used in
+const geofenceSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Geofence name is required'],
+    trim: true,
+    maxlength: [50, 'Geofence name cannot exceed 50 characters']
+  },
+  shape: {
+    type: String,
+    required: [true, 'Shape is required'],
+    enum: GEOFENCE_SHAPES
+  },
+  // Circle geofences: GeoJSON centre point and radius
+  center: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  radiusMeters: {
+    type: Number,
+    min: [100, 'Radius must be at least 100 metres'],
+    max: [200000, 'Radius cannot exceed 200 km']
+  },
+  // Polygon geofences: GeoJSON polygon with a single closed ring
+  area: {
+    type: {
+      type: String,
+      enum: ['Polygon']
+    },
+    coordinates: {
+      type: [[[Number]]],
+      default: undefined
+    }
+  },
+  // Lock devices that leave the area; alerts are raised either way
+  lockOnExit: {
+    type: Boolean,
+    default: false
+  },
+  // Policy for that lock; none means the built-in full lock
+  lockPolicy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LockPolicy'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+geofenceSchema.index({ shop: 1, name: 1 }, { unique: true });
+// Also makes MongoDB reject malformed polygons on save
+geofenceSchema.index({ area: '2dsphere' });
+
+// Whether a position falls inside the geofence
+geofenceSchema.methods.contains = function(latitude, longitude) {
+  const position = [longitude, latitude];
+
+  if (this.shape === 'circle') {
+    return distanceMeters(this.center.coordinates, position) <= this.radiusMeters;
+  }
+  return ringContains(this.area.coordinates[0], position);
+};
+
+geofenceSchema.statics.SHAPES = GEOFENCE_SHAPES;
+
+module.exports = mongoose.model('Geofence', geofenceSchema);
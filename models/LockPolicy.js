@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Enforcement levels, from a dismissible banner up to a full lock
+const LOCK_LEVELS = ['reminder', 'restricted', 'full'];
+
+// Apps left usable in restricted mode when a policy does not list its own:
+// the dialer and common UPI payment apps
+const DEFAULT_ALLOWED_APPS = [
+  'com.android.dialer',
+  'com.google.android.dialer',
+  'com.google.android.apps.nbu.paisa.user',
+  'com.phonepe.app',
+  'net.one97.paytm'
+];
+
+// A shop's named lock profile: how strictly a locked device is restricted
+// and what its lock screen shows
+const lockPolicySchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true,
+    maxlength: [50, 'Policy name cannot exceed 50 characters']
+  },
+  level: {
+    type: String,
+    required: [true, 'Lock level is required'],
+    enum: LOCK_LEVELS
+  },
+  // Lock screen text; a level-specific default is shown when empty
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  },
+  // Number shown on the lock screen; defaults to the shop's contact phone
+  contactPhone: {
+    type: String,
+    trim: true
+  },
+  // Package names usable in restricted mode
+  allowedApps: [{
+    type: String,
+    trim: true
+  }],
+  // Applied to locks that do not name a policy, including automatic ones
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+lockPolicySchema.index({ shop: 1, name: 1 }, { unique: true });
+lockPolicySchema.index({ shop: 1, isDefault: 1 });
+
+lockPolicySchema.statics.LEVELS = LOCK_LEVELS;
+lockPolicySchema.statics.DEFAULT_ALLOWED_APPS = DEFAULT_ALLOWED_APPS;
+
+module.exports = mongoose.model('LockPolicy', lockPolicySchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// An offline unlock code issued for one device. The code itself is never
+// stored; the handset verifies it against its own copy of the device key.
+const offlineUnlockCodeSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: [true, 'Device is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  // HOTP counter the code was derived from; the handset accepts each counter once
+  counter: {
+    type: Number,
+    required: true
+  },
+  codeHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Key version the code was derived with; rotating credentials invalidates it
+  credentialVersion: Number,
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  // Payment the unlock was granted for, if any
+  payment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  issuedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Reported by the handset at its next check-in
+  redeemedAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+offlineUnlockCodeSchema.index({ device: 1, counter: 1 }, { unique: true });
+offlineUnlockCodeSchema.index({ device: 1, createdAt: -1 });
+
+module.exports = mongoose.model('OfflineUnlockCode', offlineUnlockCodeSchema);
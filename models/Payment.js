@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const allocationSchema = new mongoose.Schema({
+  installment: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  installmentNumber: Number,
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  _id: false
+});
+
+const paymentSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  plan: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EmiPlan',
+    required: [true, 'EMI plan is required']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0.01, 'Amount must be greater than zero']
+  },
+  method: {
+    type: String,
+    required: [true, 'Payment method is required'],
+    enum: ['cash', 'upi', 'card', 'netbanking', 'wallet', 'other']
+  },
+  reference: {
+    type: String,
+    trim: true
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  },
+  // Set for payments reported by a payment gateway webhook
+  gateway: {
+    provider: String,
+    transactionId: String
+  },
+  receiptNumber: {
+    type: String,
+    required: true
+  },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  allocations: [allocationSchema],
+  // Received above the plan's outstanding balance (gateway payments), or freed
+  // by a waived late fee with nothing left to pay; the shop refunds it or
+  // carries it over
+  excessAmount: {
+    type: Number,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['completed', 'voided'],
+    default: 'completed'
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidedAt: Date,
+  voidedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  voidReason: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+paymentSchema.index({ receiptNumber: 1 }, { unique: true });
+paymentSchema.index({ shop: 1, paidAt: -1 });
+paymentSchema.index({ user: 1, paidAt: -1 });
+paymentSchema.index({ plan: 1, status: 1 });
+paymentSchema.index(
+  { 'gateway.provider': 1, 'gateway.transactionId': 1 },
+  { unique: true, partialFilterExpression: { 'gateway.transactionId': { $exists: true } } }
+);
+
+// Receipt numbers look like RCPT-20261019-9F3A2C
+paymentSchema.statics.generateReceiptNumber = function(date = new Date()) {
+  const day = date.toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = crypto.randomBytes(3).toString('hex').toUpperCase();
+  return `RCPT-${day}-${suffix}`;
+};
+
+module.exports = mongoose.model('Payment', paymentSchema);
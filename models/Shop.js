@@ -1,4 +1,36 @@
 const mongoose = require('mongoose');
+const ApprovalRequest = require('./ApprovalRequest');
+
+const ESCALATION_ACTIONS = ['sms_reminder', 'lock'];
+
+// One rung of the escalation ladder, reached once the oldest unpaid
+// installment is this many days overdue
+const escalationStepSchema = new mongoose.Schema({
+  days: {
+    type: Number,
+    required: true,
+    min: 1,
+    max: 365
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ESCALATION_ACTIONS
+  },
+  // Lock policy for lock steps; none means the built-in full lock
+  policy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'LockPolicy'
+  },
+  // SMS text for reminder steps; a default reminder is sent when empty
+  message: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Message cannot exceed 300 characters']
+  }
+}, {
+  _id: false
+});
 
 const shopSchema = new mongoose.Schema({
   name: {
@@ -111,6 +143,57 @@ const shopSchema = new mongoose.Schema({
     allowBulkOperations: {
       type: Boolean,
       default: true
+    },
+    // Late fees charged on overdue installments
+    latePenalty: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      flatFee: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      // Percentage of the unpaid installment amount charged per overdue day
+      percentPerDay: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 10
+      },
+      // Cap per installment; 0 means no cap
+      maxPenalty: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      startAfterGracePeriod: {
+        type: Boolean,
+        default: true
+      }
+    },
+    // Maker-checker: listed operations wait for approval by a second user
+    approvals: {
+      requiredFor: [{
+        type: String,
+        enum: ApprovalRequest.OPERATIONS
+      }],
+      expiryHours: {
+        type: Number,
+        default: 24,
+        min: 1,
+        max: 168
+      }
+    },
+    // Enforcement that steps up with days overdue and back down as payments
+    // arrive. While enabled it takes over from autoLockOnDefault.
+    escalation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      steps: [escalationStepSchema]
     }
   },
   statistics: {
@@ -149,12 +232,29 @@ shopSchema.index({ 'contactInfo.email': 1 });
 shopSchema.index({ 'contactInfo.phone': 1 });
 shopSchema.index({ isActive: 1 });
 
+// Whether an operation needs a second user's approval in this shop
+shopSchema.methods.requiresApproval = function(operation) {
+  return (this.settings?.approvals?.requiredFor || []).includes(operation);
+};
+
+shopSchema.statics.ESCALATION_ACTIONS = ESCALATION_ACTIONS;
+
+// Escalation steps in force, lowest threshold first; empty when disabled
+shopSchema.methods.getEscalationLadder = function() {
+  const escalation = this.settings?.escalation;
+  if (!escalation || !escalation.enabled) {
+    return [];
+  }
+  return [...escalation.steps].sort((a, b) => a.days - b.days);
+};
+
 // Update statistics before saving
 shopSchema.methods.updateStatistics = async function() {
   const User = mongoose.model('User');
   
   const stats = await User.aggregate([
-    { $match: { shop: this._id } },
+    // Staff accounts are not customers
+    { $match: { shop: this._id, role: { $ne: 'shopstaff' } } },
     {
       $group: {
         _id: null,
@@ -1,6 +1,20 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
+// Roles scoped to a single shop: the owner and the counter staff they manage
+const SHOP_ROLES = ['shopowner', 'shopstaff'];
+
+// Permissions a shop owner can grant to staff. Owners and the superadmin
+// hold all of them implicitly.
+const STAFF_PERMISSIONS = [
+  'register_customers',
+  'record_payments',
+  'lock_devices',
+  'unlock_devices',
+  'bulk_operations',
+  'view_reports'
+];
+
 const userSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -37,9 +51,14 @@ const userSchema = new mongoose.Schema({
   },
   role: {
     type: String,
-    enum: ['superadmin', 'shopowner', 'user'],
+    enum: ['superadmin', 'shopowner', 'shopstaff', 'user'],
     default: 'user'
   },
+  // Only used for shop staff
+  permissions: [{
+    type: String,
+    enum: STAFF_PERMISSIONS
+  }],
   shop: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Shop'
@@ -78,6 +97,10 @@ const userSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    penaltyAmount: {
+      type: Number,
+      default: 0
+    },
     dueDate: Date,
     nextDueDate: Date,
     status: {
@@ -132,8 +155,8 @@ userSchema.pre('save', async function(next) {
 
 // Calculate remaining amount before saving
 userSchema.pre('save', function(next) {
-  if (this.emiDetails.totalAmount && this.emiDetails.paidAmount) {
-    this.emiDetails.remainingAmount = this.emiDetails.totalAmount - this.emiDetails.paidAmount;
+  if (this.emiDetails.totalAmount) {
+    this.emiDetails.remainingAmount = this.emiDetails.totalAmount - (this.emiDetails.paidAmount || 0);
   }
   next();
 });
@@ -143,6 +166,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isShopMember = function() {
+  return SHOP_ROLES.includes(this.role);
+};
+
+userSchema.methods.hasPermission = function(permission) {
+  if (this.role === 'superadmin' || this.role === 'shopowner') {
+    return true;
+  }
+  return this.role === 'shopstaff' && this.permissions.includes(permission);
+};
+
 // Get user without sensitive information
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
@@ -150,4 +184,7 @@ userSchema.methods.toJSON = function() {
   return user;
 };
 
+userSchema.statics.SHOP_ROLES = SHOP_ROLES;
+userSchema.statics.STAFF_PERMISSIONS = STAFF_PERMISSIONS;
+
 module.exports = mongoose.model('User', userSchema);
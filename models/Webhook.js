@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const net = require('net');
+
+// Events a shop can subscribe its integrations to
+const WEBHOOK_EVENTS = [
+  'device.locked',
+  'device.unlocked',
+  'device.registered',
+  'payment.recorded',
+  'payment.voided'
+];
+
+// Loopback, private, link-local and other non-public ranges. Receivers there
+// are refused unless WEBHOOK_ALLOW_PRIVATE_HOSTS=true (local development),
+// so a shop cannot point a webhook at internal services.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const webhookSchema = new mongoose.Schema({
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  url: {
+    type: String,
+    required: [true, 'Webhook URL is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: WEBHOOK_EVENTS
+    }],
+    validate: {
+      validator: function(events) {
+        return events.length > 0;
+      },
+      message: 'At least one event is required'
+    }
+  },
+  // Signing secret; kept in plain form because it is needed to compute the HMAC
+  secret: {
+    type: String,
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastDeliveryAt: Date,
+  lastDeliveryStatus: {
+    type: String,
+    enum: ['succeeded', 'failed']
+  },
+  // Reset on success; the webhook is disabled once it reaches the threshold
+  consecutiveFailures: {
+    type: Number,
+    default: 0
+  },
+  disabledAt: Date,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+webhookSchema.index({ shop: 1, isActive: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+webhookSchema.statics.allowsPrivateHosts = function() {
+  return process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+};
+
+// Whether an IP address lies in a loopback, private or link-local range
+webhookSchema.statics.isPrivateAddress = function(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) {
+    return this.isPrivateAddress(mapped[1]);
+  }
+
+  const family = net.isIP(address);
+  return family !== 0 && PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Whether a webhook URL may be registered. Only literal addresses and
+// localhost names are judged here; hostnames are checked again when they are
+// resolved for delivery.
+webhookSchema.statics.isAllowedUrl = function(url) {
+  if (this.allowsPrivateHosts()) {
+    return true;
+  }
+
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  } catch (error) {
+    return false;
+  }
+
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    return false;
+  }
+
+  return !this.isPrivateAddress(hostname);
+};
+
+// Generate a new signing secret. Returns the secret so it can be shown once.
+webhookSchema.methods.generateSecret = function() {
+  this.secret = `whsec_${crypto.randomBytes(24).toString('hex')}`;
+  return this.secret;
+};
+
+webhookSchema.methods.toJSON = function() {
+  const webhook = this.toObject();
+  delete webhook.secret;
+  return webhook;
+};
+
+module.exports = mongoose.model('Webhook', webhookSchema);
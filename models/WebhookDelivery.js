@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Delivery records are kept for a month for troubleshooting
+const DELIVERY_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const attemptSchema = new mongoose.Schema({
+  attemptedAt: {
+    type: Date,
+    required: true
+  },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, {
+  _id: false
+});
+
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: [true, 'Webhook is required']
+  },
+  shop: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Shop',
+    required: [true, 'Shop is required']
+  },
+  event: {
+    type: String,
+    required: [true, 'Event is required']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attempts: [attemptSchema],
+  // When the next attempt is due; also used as a lease while an attempt runs
+  nextAttemptAt: Date,
+  deliveredAt: Date
+}, {
+  timestamps: true
+});
+
+// Index for efficient queries
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_RETENTION_SECONDS });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -1,39 +1,52 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
 const Shop = require('../models/Shop');
 const Device = require('../models/Device');
 const ActivityLog = require('../models/ActivityLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
 const {
   verifyToken,
   authorize,
+  requirePermission,
   logActivity
 } = require('../middleware/auth');
 const {
+  validateLogExport,
   validatePagination,
   validateObjectId
 } = require('../middleware/validation');
+const { getJobStatus } = require('../jobs/scheduler');
+const {
+  recordActivity,
+  verifyChains,
+  getCheckpointPublicKey,
+  toCheckpointRecord
+} = require('../services/auditService');
+const { streamLogExport } = require('../services/logExportService');
+const { retentionRules } = require('../config/auditRetention');
 
 // Apply authentication to all routes
 router.use(verifyToken);
 
-// Dashboard statistics (superadmin and shop owners)
+// Dashboard statistics (superadmin, shop owners and staff with view_reports)
 router.get('/dashboard',
-  authorize('superadmin', 'shopowner'),
-  logActivity('dashboard_viewed', 'admin', 'Viewed admin dashboard'),
+  requirePermission('view_reports'),
+  logActivity('dashboard_viewed', 'Viewed admin dashboard'),
   async (req, res) => {
     try {
       const currentUser = req.user;
       let filter = {};
 
       // Apply shop filter for shop owners
-      if (currentUser.role === 'shopowner') {
+      if (currentUser.isShopMember()) {
         filter.shop = currentUser.shop._id;
       }
 
       // Get basic statistics
       const totalUsers = await User.countDocuments(
-        currentUser.role === 'shopowner' ? { shop: currentUser.shop._id } : {}
+        currentUser.isShopMember() ? { shop: currentUser.shop._id } : {}
       );
       
       const activeUsers = await User.countDocuments({
@@ -52,9 +65,10 @@ router.get('/dashboard',
         : 1;
 
       // Get recent activities
-      const recentActivities = await ActivityLog.find(
-        currentUser.role === 'shopowner' ? { shop: currentUser.shop._id } : {}
-      )
+      const recentActivities = await ActivityLog.find({
+        ...(currentUser.isShopMember() ? { shop: currentUser.shop._id } : {}),
+        purgedAt: { $exists: false }
+      })
         .populate('performedBy', 'name')
         .populate('user', 'name phone')
         .sort({ createdAt: -1 })
@@ -62,7 +76,7 @@ router.get('/dashboard',
 
       // Get user statistics by role
       const usersByRole = await User.aggregate([
-        ...(currentUser.role === 'shopowner' ? [{ $match: { shop: currentUser.shop._id } }] : []),
+        ...(currentUser.isShopMember() ? [{ $match: { shop: currentUser.shop._id } }] : []),
         {
           $group: {
             _id: '$role',
@@ -73,7 +87,7 @@ router.get('/dashboard',
 
       // Get device status breakdown
       const deviceStatusBreakdown = await Device.aggregate([
-        ...(currentUser.role === 'shopowner' ? [{ $match: { shop: currentUser.shop._id } }] : []),
+        ...(currentUser.isShopMember() ? [{ $match: { shop: currentUser.shop._id } }] : []),
         {
           $group: {
             _id: '$lockStatus.isLocked',
@@ -116,58 +130,71 @@ router.get('/dashboard',
   }
 );
 
+// Activity log filter shared by the listing and the export. Purged entries
+// are only kept as chain stubs and are left out.
+const buildLogFilter = (req) => {
+  const {
+    category = '',
+    action = '',
+    severity = '',
+    startDate = '',
+    endDate = '',
+    shopId = ''
+  } = req.query;
+
+  const filter = { purgedAt: { $exists: false } };
+
+  // Apply shop filter for shop owners
+  if (req.user.isShopMember()) {
+    filter.shop = req.user.shop._id;
+  } else if (shopId && mongoose.Types.ObjectId.isValid(shopId)) {
+    filter.shop = shopId;
+  }
+
+  // Add category filter
+  if (category) {
+    filter.category = category;
+  }
+
+  // Add action filter
+  if (action) {
+    filter.action = action;
+  }
+
+  // Add severity filter
+  if (severity) {
+    filter.severity = severity;
+  }
+
+  // Add date range filter
+  if (startDate || endDate) {
+    filter.createdAt = {};
+    if (startDate) {
+      filter.createdAt.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      filter.createdAt.$lte = new Date(endDate);
+    }
+  }
+
+  return filter;
+};
+
 // Get activity logs with pagination
 router.get('/logs',
   authorize('superadmin', 'shopowner'),
   validatePagination,
-  logActivity('logs_viewed', 'admin', 'Viewed activity logs'),
+  logActivity('logs_viewed', 'Viewed activity logs'),
   async (req, res) => {
     try {
       const {
         page = 1,
         limit = 20,
-        category = '',
-        action = '',
-        severity = '',
-        startDate = '',
-        endDate = '',
         sortBy = 'createdAt',
         sortOrder = 'desc'
       } = req.query;
 
-      const currentUser = req.user;
-      let filter = {};
-
-      // Apply shop filter for shop owners
-      if (currentUser.role === 'shopowner') {
-        filter.shop = currentUser.shop._id;
-      }
-
-      // Add category filter
-      if (category) {
-        filter.category = category;
-      }
-
-      // Add action filter
-      if (action) {
-        filter.action = action;
-      }
-
-      // Add severity filter
-      if (severity) {
-        filter.severity = severity;
-      }
-
-      // Add date range filter
-      if (startDate || endDate) {
-        filter.createdAt = {};
-        if (startDate) {
-          filter.createdAt.$gte = new Date(startDate);
-        }
-        if (endDate) {
-          filter.createdAt.$lte = new Date(endDate);
-        }
-      }
+      const filter = buildLogFilter(req);
 
       const options = {
         page: parseInt(page),
@@ -194,10 +221,167 @@ router.get('/logs',
   }
 );
 
+// Stream filtered activity logs for a date range as CSV or NDJSON
+router.get('/logs/export',
+  authorize('superadmin', 'shopowner'),
+  validateLogExport,
+  logActivity('logs_exported', 'Exported activity logs'),
+  async (req, res) => {
+    try {
+      const { format = 'csv' } = req.query;
+
+      await streamLogExport({
+        filter: buildLogFilter(req),
+        format,
+        res
+      });
+    } catch (error) {
+      console.error('Export activity logs error:', error);
+      // Once streaming has started the client only sees a truncated file
+      if (res.headersSent) {
+        return res.destroy();
+      }
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting activity logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Retention rules applied by the purge job
+router.get('/logs/retention',
+  authorize('superadmin', 'shopowner'),
+  (req, res) => {
+    res.json({
+      success: true,
+      data: { rules: retentionRules }
+    });
+  }
+);
+
+// Shop owners are scoped to their own chain; the superadmin may pick a shop
+// with ?shopId (or "global" for entries without a shop)
+const resolveLogChain = (req) => {
+  if (req.user.isShopMember()) {
+    return { chain: ActivityLog.chainFor(req.user.shop._id) };
+  }
+
+  const { shopId } = req.query;
+  if (!shopId) {
+    return {};
+  }
+  if (shopId === ActivityLog.GLOBAL_CHAIN) {
+    return { chain: ActivityLog.GLOBAL_CHAIN };
+  }
+  if (!mongoose.Types.ObjectId.isValid(shopId)) {
+    return { error: 'Invalid shop ID' };
+  }
+  return { chain: ActivityLog.chainFor(shopId) };
+};
+
+// Verify the activity log hash chains and report any broken link
+router.get('/logs/verify',
+  authorize('superadmin', 'shopowner'),
+  logActivity('logs_verified', 'Verified activity log integrity'),
+  async (req, res) => {
+    try {
+      const { chain, error } = resolveLogChain(req);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const result = await verifyChains({ chain });
+
+      if (!result.valid) {
+        const broken = result.chains.filter(report => !report.valid);
+        await recordActivity({
+          action: 'security_alert',
+          description: `Activity log verification found ${broken.reduce((sum, report) => sum + report.breakCount, 0)} broken link(s)`,
+          shop: chain && chain !== ActivityLog.GLOBAL_CHAIN ? chain : undefined,
+          performedBy: req.user._id,
+          severity: 'critical',
+          req,
+          metadata: {
+            chains: broken.map(report => ({ chain: report.chain, breakCount: report.breakCount }))
+          }
+        });
+      }
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      console.error('Verify activity logs error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while verifying activity logs',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
+// Export signed chain checkpoints as JSON, or NDJSON with ?format=ndjson
+router.get('/logs/checkpoints',
+  authorize('superadmin', 'shopowner'),
+  logActivity('audit_checkpoints_exported', 'Exported audit checkpoints'),
+  async (req, res) => {
+    try {
+      const { since = '', format = 'json' } = req.query;
+
+      const { chain, error } = resolveLogChain(req);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error
+        });
+      }
+
+      const filter = {};
+      if (chain) {
+        filter.chain = chain;
+      }
+      if (since) {
+        filter.signedAt = { $gte: new Date(since) };
+      }
+
+      const checkpoints = (await AuditCheckpoint.find(filter).sort({ chain: 1, sequence: 1 }))
+        .map(toCheckpointRecord);
+
+      if (format === 'ndjson') {
+        res.set('Content-Type', 'application/x-ndjson');
+        res.set('Content-Disposition', 'attachment; filename="audit-checkpoints.ndjson"');
+        return res.send(checkpoints.map(checkpoint => `${JSON.stringify(checkpoint)}\n`).join(''));
+      }
+
+      res.json({
+        success: true,
+        data: {
+          checkpoints,
+          publicKey: getCheckpointPublicKey()
+        }
+      });
+    } catch (error) {
+      console.error('Export audit checkpoints error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Server error while exporting audit checkpoints',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+);
+
 // Get system health status (superadmin only)
 router.get('/system/health',
   authorize('superadmin'),
-  logActivity('system_health_viewed', 'admin', 'Viewed system health'),
+  logActivity('system_health_viewed', 'Viewed system health'),
   async (req, res) => {
     try {
       const dbStatus = 'connected'; // You can implement actual DB health check
@@ -212,6 +396,7 @@ router.get('/system/health',
           used: Math.round(memoryUsage.heapUsed / 1024 / 1024),
           total: Math.round(memoryUsage.heapTotal / 1024 / 1024)
         },
+        jobs: getJobStatus(),
         timestamp: new Date()
       };
 
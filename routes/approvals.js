@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getApprovals,
+  getApprovalById,
+  approveApproval,
+  rejectApproval,
+  cancelApproval,
+  commentOnApproval
+} = require('../controllers/approvalController');
+const {
+  verifyToken,
+  authorize
+} = require('../middleware/auth');
+const {
+  validateApprovalDecision,
+  validateApprovalComment,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Apply authentication to all routes. Approving needs the permission for the
+// requested operation, which the service checks per request.
+router.use(verifyToken);
+router.use(authorize('shopowner', 'shopstaff', 'superadmin'));
+
+// Get approval requests (with pagination and filtering)
+router.get('/',
+  validatePagination,
+  getApprovals
+);
+
+// Get single approval request
+router.get('/:approvalId',
+  validateObjectId('approvalId'),
+  getApprovalById
+);
+
+// Approve and run the operation
+router.post('/:approvalId/approve',
+  validateObjectId('approvalId'),
+  validateApprovalDecision(false),
+  approveApproval
+);
+
+// Reject the request
+router.post('/:approvalId/reject',
+  validateObjectId('approvalId'),
+  validateApprovalDecision(true),
+  rejectApproval
+);
+
+// Withdraw the request
+router.post('/:approvalId/cancel',
+  validateObjectId('approvalId'),
+  validateApprovalDecision(false),
+  cancelApproval
+);
+
+// Add a comment to the request
+router.post('/:approvalId/comments',
+  validateObjectId('approvalId'),
+  validateApprovalComment,
+  commentOnApproval
+);
+
+module.exports = router;
@@ -6,18 +6,22 @@ const {
   getProfile,
   updateProfile,
   changePassword,
-  logout
+  refreshToken,
+  logout,
+  logoutAll
 } = require('../controllers/authController');
 const { verifyToken } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserLogin,
-  validateUserUpdate
+  validateUserUpdate,
+  validateRefreshToken
 } = require('../middleware/validation');
 
 // Public routes
 router.post('/register', validateUserRegistration, register);
 router.post('/login', validateUserLogin, login);
+router.post('/refresh', validateRefreshToken, refreshToken);
 
 // Protected routes
 router.use(verifyToken); // Apply authentication to all routes below
@@ -26,5 +30,6 @@ router.get('/profile', getProfile);
 router.put('/profile', validateUserUpdate, updateProfile);
 router.put('/change-password', changePassword);
 router.post('/logout', logout);
+router.post('/logout-all', logoutAll);
 
 module.exports = router;
@@ -7,15 +7,37 @@ const {
   lockDevice,
   unlockDevice,
   bulkLockDevices,
-  bulkUnlockDevices
+  bulkUnlockDevices,
+  scheduleDeviceAction,
+  cancelDeviceAction,
+  temporarilyUnlockDevice,
+  endTemporaryUnlock,
+  createOfflineUnlockCode,
+  getOfflineUnlockCodes,
+  getDeviceLocations,
+  setDeviceGeofences,
+  getDeviceCommands,
+  sendDeviceCommand,
+  rotateDeviceCredentials,
+  revokeDeviceCredentials
 } = require('../controllers/deviceController');
 const {
   verifyToken,
   authorize,
+  requirePermission,
+  requireStaffPermission,
   logActivity
 } = require('../middleware/auth');
 const {
   validateDeviceRegistration,
+  validateDeviceCommand,
+  validateApprovalDecision,
+  validateDeviceLock,
+  validateLockSchedule,
+  validateTemporaryUnlock,
+  validateOfflineUnlockCode,
+  validateLocationQuery,
+  validateDeviceGeofences,
   validatePagination,
   validateObjectId
 } = require('../middleware/validation');
@@ -26,51 +48,145 @@ router.use(verifyToken);
 // Get all devices (with pagination and filtering)
 router.get('/',
   validatePagination,
-  logActivity('devices_viewed', 'device', 'Viewed devices list'),
+  logActivity('devices_viewed', 'Viewed devices list'),
   getDevices
 );
 
 // Get single device by ID
 router.get('/:deviceId',
   validateObjectId('deviceId'),
-  logActivity('device_viewed', 'device', 'Viewed device details'),
+  logActivity('device_viewed', 'Viewed device details'),
   getDeviceById
 );
 
 // Register new device
 router.post('/register',
+  requireStaffPermission('register_customers'),
   validateDeviceRegistration,
-  logActivity('device_registered', 'device', 'Registered new device'),
   registerDevice
 );
 
-// Lock device (shop owners and superadmin only)
+// Lock device
 router.post('/:deviceId/lock',
-  authorize('shopowner', 'superadmin'),
+  requirePermission('lock_devices'),
   validateObjectId('deviceId'),
-  logActivity('device_locked', 'device', 'Locked device'),
+  validateDeviceLock,
   lockDevice
 );
 
-// Unlock device (shop owners and superadmin only)
+// Unlock device
 router.post('/:deviceId/unlock',
-  authorize('shopowner', 'superadmin'),
+  requirePermission('unlock_devices'),
   validateObjectId('deviceId'),
-  logActivity('device_unlocked', 'device', 'Unlocked device'),
+  validateApprovalDecision(false),
   unlockDevice
 );
 
-// Bulk lock devices (shop owners and superadmin only)
-router.post('/bulk/lock',
+// Schedule a lock or unlock; the action's own permission is checked by the service
+router.post('/:deviceId/schedule',
+  requirePermission('lock_devices', 'unlock_devices'),
+  validateObjectId('deviceId'),
+  validateLockSchedule,
+  scheduleDeviceAction
+);
+
+// Cancel a scheduled lock or unlock
+router.delete('/:deviceId/schedule/:actionId',
+  requirePermission('lock_devices', 'unlock_devices'),
+  validateObjectId('deviceId'),
+  validateObjectId('actionId'),
+  cancelDeviceAction
+);
+
+// Unlock for a limited time, then relock
+router.post('/:deviceId/temporary-unlock',
+  requirePermission('unlock_devices'),
+  validateObjectId('deviceId'),
+  validateTemporaryUnlock,
+  temporarilyUnlockDevice
+);
+
+// Cancel the relock, leaving the device unlocked
+router.delete('/:deviceId/temporary-unlock',
+  requirePermission('unlock_devices'),
+  validateObjectId('deviceId'),
+  endTemporaryUnlock
+);
+
+// Get command queue history for a device
+router.get('/:deviceId/commands',
+  requirePermission('lock_devices', 'unlock_devices'),
+  validateObjectId('deviceId'),
+  validatePagination,
+  getDeviceCommands
+);
+
+// Send a message or wipe request to a device (shop owners and superadmin only)
+router.post('/:deviceId/commands',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  validateDeviceCommand,
+  sendDeviceCommand
+);
+
+// Issue an offline unlock code (shop owners and superadmin only)
+router.post('/:deviceId/offline-unlock-codes',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  validateOfflineUnlockCode,
+  createOfflineUnlockCode
+);
+
+// Get offline unlock codes issued for a device (shop owners and superadmin only)
+router.get('/:deviceId/offline-unlock-codes',
   authorize('shopowner', 'superadmin'),
-  logActivity('bulk_lock', 'device', 'Bulk locked devices'),
+  validateObjectId('deviceId'),
+  validatePagination,
+  getOfflineUnlockCodes
+);
+
+// Get a device's location track (shop owners and superadmin only)
+router.get('/:deviceId/locations',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  validateLocationQuery,
+  logActivity('device_locations_viewed', 'Viewed device location history'),
+  getDeviceLocations
+);
+
+// Assign geofences to a device (shop owners and superadmin only)
+router.put('/:deviceId/geofences',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  validateDeviceGeofences,
+  setDeviceGeofences
+);
+
+// Rotate locker agent credentials (shop owners and superadmin only)
+router.post('/:deviceId/credentials/rotate',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  rotateDeviceCredentials
+);
+
+// Revoke locker agent credentials (shop owners and superadmin only)
+router.post('/:deviceId/credentials/revoke',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('deviceId'),
+  revokeDeviceCredentials
+);
+
+// Bulk lock devices
+router.post('/bulk/lock',
+  requirePermission('bulk_operations'),
+  validateDeviceLock,
   bulkLockDevices
 );
 
-// Bulk unlock devices (shop owners and superadmin only)
+// Bulk unlock devices
 router.post('/bulk/unlock',
-  authorize('shopowner', 'superadmin'),
-  logActivity('bulk_unlock', 'device', 'Bulk unlocked devices'),
+  requirePermission('bulk_operations'),
+  validateApprovalDecision(false),
   bulkUnlockDevices
 );
 
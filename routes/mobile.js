@@ -1,18 +1,29 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const Shop = require('../models/Shop');
 const Device = require('../models/Device');
-const ActivityLog = require('../models/ActivityLog');
-const { verifyToken } = require('../middleware/auth');
+const DeviceCommand = require('../models/DeviceCommand');
+const { verifyToken, verifyDevice, generateDeviceToken } = require('../middleware/auth');
+const { createSession } = require('../services/sessionService');
+const { recordActivity } = require('../services/auditService');
+const { refreshToken } = require('../controllers/authController');
+const {
+  validateCommandAck,
+  validateDeviceCheckIn,
+  validateDeviceTokenRequest,
+  validateLocationReport,
+  validateRefreshToken
+} = require('../middleware/validation');
+const { collectOutstanding, acknowledgeCommand } = require('../services/deviceCommandService');
+const { emitDeviceStatusChange } = require('../services/deviceStatusService');
+const { getOfflineUnlockParams, recordOfflineRedemptions } = require('../services/offlineUnlockService');
+const { getDeviceLockPolicy } = require('../services/lockPolicyService');
+const { recordDeviceLocations } = require('../services/locationService');
+const { publishUserCreated, publishDeviceRegistered } = require('../services/eventBus');
 const { body, validationResult } = require('express-validator');
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ userId }, process.env.JWT_SECRET, { expiresIn: '30d' });
-};
 
 // @route   GET /api/mobile/shops/search
 // @desc    Search shops by name for mobile app
@@ -167,19 +178,21 @@ router.post('/shopkeeper/register', [
     shopkeeper.createdBy = shopkeeper._id;
     await shopkeeper.save();
 
-    // Generate token
-    const token = generateToken(shopkeeper._id);
+    // Start session
+    const tokens = await createSession(shopkeeper, {
+      platform: 'mobile',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: shopkeeper._id,
       shop: shop._id,
       action: 'shop_created',
       description: `New shop registered: ${shopName} by ${name}`,
-      category: 'shop',
       performedBy: shopkeeper._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.status(201).json({
@@ -198,7 +211,7 @@ router.post('/shopkeeper/register', [
             description: shop.description
           }
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -235,9 +248,10 @@ router.post('/shopkeeper/login', [
       ? { email: identifier } 
       : { phone: identifier };
     
+    // Counter staff sign in to the shopkeeper app too
     const shopkeeper = await User.findOne({
       ...query,
-      role: 'shopowner'
+      role: { $in: User.SHOP_ROLES }
     }).populate('shop');
 
     if (!shopkeeper) {
@@ -250,6 +264,15 @@ router.post('/shopkeeper/login', [
     // Check password
     const isValidPassword = await shopkeeper.comparePassword(password);
     if (!isValidPassword) {
+      await recordActivity({
+        user: shopkeeper._id,
+        shop: shopkeeper.shop,
+        action: 'login_failed',
+        description: `Failed mobile login attempt for ${shopkeeper.name}`,
+        performedBy: shopkeeper._id,
+        req
+      });
+
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
@@ -268,25 +291,22 @@ router.post('/shopkeeper/login', [
     shopkeeper.lastLogin = new Date();
     await shopkeeper.save();
 
-    // Generate token
-    const token = generateToken(shopkeeper._id);
+    // Start session
+    const tokens = await createSession(shopkeeper, {
+      platform: 'mobile',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
 
     // Log activity
-    const logData = {
+    await recordActivity({
       user: shopkeeper._id,
+      shop: shopkeeper.shop,
       action: 'user_login',
       description: `Shopkeeper logged in from mobile: ${shopkeeper.name}`,
-      category: 'user',
       performedBy: shopkeeper._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
-    };
-    
-    if (shopkeeper.shop) {
-      logData.shop = shopkeeper.shop._id;
-    }
-    
-    await ActivityLog.createLog(logData);
+      req
+    });
 
     res.json({
       success: true,
@@ -298,13 +318,14 @@ router.post('/shopkeeper/login', [
           email: shopkeeper.email,
           phone: shopkeeper.phone,
           role: shopkeeper.role,
+          permissions: shopkeeper.role === 'shopstaff' ? shopkeeper.permissions : User.STAFF_PERMISSIONS,
           shop: shopkeeper.shop ? {
             id: shopkeeper.shop._id,
             name: shopkeeper.shop.name,
             description: shopkeeper.shop.description
           } : null
         },
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -317,6 +338,11 @@ router.post('/shopkeeper/login', [
   }
 });
 
+// @route   POST /api/mobile/auth/refresh
+// @desc    Exchange a refresh token for a new token pair
+// @access  Public (Refresh token)
+router.post('/auth/refresh', validateRefreshToken, refreshToken);
+
 // @route   POST /api/mobile/users/register
 // @desc    Register a new user by shopkeeper from mobile app
 // @access  Private (Shopkeeper only)
@@ -326,7 +352,7 @@ router.post('/users/register', [
   body('email').optional().isEmail().withMessage('Please provide a valid email'),
   body('deviceId').trim().notEmpty().withMessage('Device ID is required'),
   body('imeiNumber').trim().notEmpty().withMessage('IMEI number is required'),
-  body('emiDetails').isObject().withMessage('EMI details are required'),
+  body('emiDetails').not().exists().withMessage('EMI details are derived from the customer\'s EMI plan'),
   body('address').optional().isObject()
 ], verifyToken, async (req, res) => {
   try {
@@ -339,8 +365,8 @@ router.post('/users/register', [
       });
     }
 
-    // Only shopkeepers can register users
-    if (req.user.role !== 'shopowner') {
+    // Only shopkeepers and staff allowed to register customers can register users
+    if (!req.user.isShopMember() || !req.user.hasPermission('register_customers')) {
       return res.status(403).json({
         success: false,
         message: 'Only shopkeepers can register users'
@@ -353,7 +379,6 @@ router.post('/users/register', [
       email,
       deviceId,
       imeiNumber,
-      emiDetails,
       address = {}
     } = req.body;
 
@@ -394,14 +419,6 @@ router.post('/users/register', [
         zipCode: address.zipCode || '',
         country: address.country || 'India'
       },
-      emiDetails: {
-        totalAmount: emiDetails.totalAmount || 0,
-        paidAmount: emiDetails.paidAmount || 0,
-        remainingAmount: emiDetails.remainingAmount || emiDetails.totalAmount || 0,
-        monthlyEmi: emiDetails.monthlyEmi || 0,
-        dueDate: emiDetails.dueDate || new Date(),
-        status: 'active'
-      },
       isActive: true,
       createdBy: req.user._id
     });
@@ -419,21 +436,35 @@ router.post('/users/register', [
       createdBy: req.user._id
     });
 
+    // Enrollment secret for the locker app on this handset
+    const deviceSecret = device.issueCredentials();
+
     await device.save();
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: user._id,
       shop: req.user.shop,
       device: device._id,
       action: 'user_created',
       description: `New user registered by shopkeeper: ${name} (${phone})`,
-      category: 'user',
       performedBy: req.user._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
+    });
+
+    await recordActivity({
+      user: user._id,
+      shop: req.user.shop,
+      device: device._id,
+      action: 'device_registered',
+      description: `Device registered: ${deviceId}`,
+      performedBy: req.user._id,
+      req
     });
 
+    publishUserCreated(req.io, user);
+    publishDeviceRegistered(req.io, device);
+
     res.status(201).json({
       success: true,
       message: 'User registered successfully',
@@ -452,7 +483,8 @@ router.post('/users/register', [
           id: device._id,
           deviceId: device.deviceId,
           imeiNumber: device.imeiNumber,
-          status: device.status
+          status: device.status,
+          deviceSecret // Shown once; provision it into the locker app
         }
       }
     });
@@ -466,4 +498,223 @@ router.post('/users/register', [
   }
 });
 
+// @route   POST /api/mobile/device/token
+// @desc    Exchange the device enrollment secret for a short-lived device token
+// @access  Public (Device credentials)
+router.post('/device/token', validateDeviceTokenRequest, async (req, res) => {
+  try {
+    const { deviceId, imeiNumber, deviceSecret } = req.body;
+
+    const device = await Device.findOne({ deviceId, imeiNumber, isActive: true })
+      .select('+credentials.secretHash');
+
+    if (!device || !device.verifySecret(deviceSecret)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid device credentials'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        token: generateDeviceToken(device),
+        expiresIn: process.env.DEVICE_TOKEN_EXPIRE || '1h'
+      }
+    });
+  } catch (error) {
+    console.error('Device token error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while issuing device token',
+      error: error.message
+    });
+  }
+});
+
+// How often the locker app should check in (seconds)
+const CHECKIN_INTERVAL_SECONDS = parseInt(process.env.DEVICE_CHECKIN_INTERVAL_SECONDS) || 300;
+
+// @route   POST /api/mobile/device/checkin
+// @desc    Periodic check-in from the locker app; returns desired lock state and pending commands
+// @access  Private (Device token)
+router.post('/device/checkin', verifyDevice, validateDeviceCheckIn, async (req, res) => {
+  try {
+    const device = req.device;
+
+    const { security = {} } = req.body;
+    const newlyTampered = security.appTampered === true && !device.security.appTampered;
+    const newlyRooted = security.rootDetected === true && !device.security.rootDetected;
+    const wasOffline = !device.connectionStatus.isOnline;
+
+    await device.recordCheckIn(req.body);
+
+    // Offline unlock codes the customer entered while the handset was unreachable
+    if (req.body.offlineUnlocks) {
+      await recordOfflineRedemptions(device, req.body.offlineUnlocks);
+    }
+
+    if (wasOffline) {
+      emitDeviceStatusChange(req.io, device, 'online');
+    }
+
+    if (newlyTampered || newlyRooted) {
+      const issues = [
+        newlyTampered && 'app tampering',
+        newlyRooted && 'root access'
+      ].filter(Boolean).join(' and ');
+
+      await recordActivity({
+        user: device.user,
+        shop: device.shop,
+        device: device._id,
+        action: 'security_alert',
+        description: `Device ${device.deviceId} reported ${issues}`,
+        performedBy: device.user,
+        req,
+        metadata: { security }
+      });
+    }
+
+    const commands = await collectOutstanding(device._id);
+
+    res.json({
+      success: true,
+      data: {
+        lockStatus: {
+          isLocked: device.lockStatus.isLocked,
+          lockReason: device.lockStatus.isLocked ? device.lockStatus.lockReason : null,
+          lockedAt: device.lockStatus.lockedAt,
+          // What to enforce and show on the lock screen
+          policy: device.lockStatus.isLocked ? await getDeviceLockPolicy(device) : null
+        },
+        commands,
+        checkInInterval: CHECKIN_INTERVAL_SECONDS,
+        serverTime: new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Device check-in error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error during device check-in',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/mobile/device/locations
+// @desc    Report location fixes, batched while the handset was offline
+// @access  Private (Device token)
+router.post('/device/locations', verifyDevice, validateLocationReport, async (req, res) => {
+  try {
+    const { locations, rejected } = await recordDeviceLocations(req.io, req.device, req.body.locations);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        accepted: locations.length,
+        rejected,
+        lastKnownLocation: req.device.deviceInfo.lastKnownLocation
+      }
+    });
+  } catch (error) {
+    console.error('Device location report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording device locations',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/mobile/device/offline-unlock-key
+// @desc    Key and parameters the locker app uses to verify offline unlock codes
+// @access  Private (Device token)
+router.get('/device/offline-unlock-key', verifyDevice, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: getOfflineUnlockParams(req.device)
+    });
+  } catch (error) {
+    console.error('Offline unlock key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching offline unlock key',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/mobile/device/commands
+// @desc    Fetch outstanding commands for the locker app to execute
+// @access  Private (Device token)
+router.get('/device/commands', verifyDevice, async (req, res) => {
+  try {
+    const commands = await collectOutstanding(req.device._id);
+
+    res.json({
+      success: true,
+      data: {
+        commands,
+        count: commands.length
+      }
+    });
+  } catch (error) {
+    console.error('Fetch device commands error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching device commands',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/mobile/device/commands/:commandId/ack
+// @desc    Acknowledge execution (or failure) of a command on the handset
+// @access  Private (Device token)
+router.post('/device/commands/:commandId/ack', verifyDevice, validateCommandAck, async (req, res) => {
+  try {
+    const { commandId } = req.params;
+    const { status, message, data } = req.body;
+
+    const command = await DeviceCommand.findOne({ _id: commandId, device: req.device._id });
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        message: 'Command not found'
+      });
+    }
+
+    if (['executed', 'failed'].includes(command.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Command already ${command.status}`
+      });
+    }
+
+    await acknowledgeCommand(command, status, { message, data });
+
+    res.json({
+      success: true,
+      message: 'Command acknowledged',
+      data: {
+        command: {
+          id: command._id,
+          type: command.type,
+          status: command.status
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Acknowledge command error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while acknowledging command',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,60 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createPayment,
+  getPayments,
+  getPaymentById,
+  voidPaymentById,
+  receiveGatewayWebhook
+} = require('../controllers/paymentController');
+const {
+  verifyToken,
+  authorize,
+  requirePermission
+} = require('../middleware/auth');
+const {
+  validatePaymentRecord,
+  validatePaymentVoid,
+  validatePagination,
+  validateObjectId
+} = require('../middleware/validation');
+
+// Payment gateway webhooks authenticate by signature, so they sit before verifyToken
+router.post('/gateway/:provider/webhook',
+  receiveGatewayWebhook
+);
+
+// Apply authentication to all other routes
+router.use(verifyToken);
+router.use(authorize('shopowner', 'shopstaff', 'superadmin'));
+
+// Get all payments (with pagination and filtering)
+router.get('/',
+  requirePermission('record_payments', 'view_reports'),
+  validatePagination,
+  getPayments
+);
+
+// Get single payment / receipt
+router.get('/:paymentId',
+  requirePermission('record_payments', 'view_reports'),
+  validateObjectId('paymentId'),
+  getPaymentById
+);
+
+// Record a payment
+router.post('/',
+  requirePermission('record_payments'),
+  validatePaymentRecord,
+  createPayment
+);
+
+// Void a payment (shop owners and superadmin only)
+router.post('/:paymentId/void',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('paymentId'),
+  validatePaymentVoid,
+  voidPaymentById
+);
+
+module.exports = router;
@@ -6,16 +6,61 @@ const {
   createShop,
   updateShop,
   deleteShop,
-  getShopStatistics
+  getShopStatistics,
+  getEscalationPolicy,
+  updateEscalationPolicy,
+  getLatePenaltyRules,
+  updateLatePenaltyRules,
+  getApprovalSettings,
+  updateApprovalSettings
 } = require('../controllers/shopController');
+const {
+  getWebhooks,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateWebhookSecret,
+  testWebhook,
+  getWebhookDeliveries
+} = require('../controllers/webhookController');
+const {
+  getStaff,
+  createStaff,
+  updateStaff,
+  deleteStaff
+} = require('../controllers/staffController');
+const {
+  getLockPolicies,
+  createLockPolicy,
+  updateLockPolicy,
+  deleteLockPolicy
+} = require('../controllers/lockPolicyController');
+const {
+  getGeofences,
+  createGeofence,
+  updateGeofence,
+  deleteGeofence
+} = require('../controllers/geofenceController');
 const {
   verifyToken,
   authorize,
+  requirePermission,
   verifyShopOwnership,
   logActivity
 } = require('../middleware/auth');
 const {
   validateShopRegistration,
+  validateWebhook,
+  validateWebhookUpdate,
+  validateStaff,
+  validateStaffUpdate,
+  validateLockPolicy,
+  validateLockPolicyUpdate,
+  validateEscalation,
+  validateLatePenalty,
+  validateApprovalSettings,
+  validateGeofence,
+  validateGeofenceUpdate,
   validatePagination,
   validateObjectId
 } = require('../middleware/validation');
@@ -27,7 +72,7 @@ router.use(verifyToken);
 router.get('/',
   authorize('superadmin'),
   validatePagination,
-  logActivity('shops_viewed', 'shop', 'Viewed shops list'),
+  logActivity('shops_viewed', 'Viewed shops list'),
   getShops
 );
 
@@ -35,7 +80,7 @@ router.get('/',
 router.get('/:shopId',
   validateObjectId('shopId'),
   verifyShopOwnership,
-  logActivity('shop_viewed', 'shop', 'Viewed shop details'),
+  logActivity('shop_viewed', 'Viewed shop details'),
   getShopById
 );
 
@@ -43,15 +88,14 @@ router.get('/:shopId',
 router.post('/',
   authorize('superadmin'),
   validateShopRegistration,
-  logActivity('shop_created', 'shop', 'Created new shop'),
   createShop
 );
 
-// Update shop
+// Update shop (shop owners and superadmin only)
 router.put('/:shopId',
+  authorize('shopowner', 'superadmin'),
   validateObjectId('shopId'),
   verifyShopOwnership,
-  logActivity('shop_updated', 'shop', 'Updated shop'),
   updateShop
 );
 
@@ -59,16 +103,221 @@ router.put('/:shopId',
 router.delete('/:shopId',
   authorize('superadmin'),
   validateObjectId('shopId'),
-  logActivity('shop_deleted', 'shop', 'Deleted shop'),
   deleteShop
 );
 
 // Get shop statistics
 router.get('/:shopId/statistics',
+  requirePermission('view_reports'),
   validateObjectId('shopId'),
   verifyShopOwnership,
-  logActivity('shop_stats_viewed', 'shop', 'Viewed shop statistics'),
+  logActivity('shop_stats_viewed', 'Viewed shop statistics'),
   getShopStatistics
 );
 
+// Outbound webhooks (shop owners and superadmin only)
+router.get('/:shopId/webhooks',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getWebhooks
+);
+
+router.post('/:shopId/webhooks',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateWebhook,
+  createWebhook
+);
+
+router.put('/:shopId/webhooks/:webhookId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('webhookId'),
+  verifyShopOwnership,
+  validateWebhookUpdate,
+  updateWebhook
+);
+
+router.delete('/:shopId/webhooks/:webhookId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('webhookId'),
+  verifyShopOwnership,
+  deleteWebhook
+);
+
+router.post('/:shopId/webhooks/:webhookId/rotate-secret',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('webhookId'),
+  verifyShopOwnership,
+  rotateWebhookSecret
+);
+
+router.post('/:shopId/webhooks/:webhookId/test',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('webhookId'),
+  verifyShopOwnership,
+  testWebhook
+);
+
+router.get('/:shopId/webhooks/:webhookId/deliveries',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('webhookId'),
+  verifyShopOwnership,
+  validatePagination,
+  getWebhookDeliveries
+);
+
+// Staff accounts (shop owners and superadmin only)
+router.get('/:shopId/staff',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getStaff
+);
+
+router.post('/:shopId/staff',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateStaff,
+  createStaff
+);
+
+router.put('/:shopId/staff/:staffId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('staffId'),
+  verifyShopOwnership,
+  validateStaffUpdate,
+  updateStaff
+);
+
+router.delete('/:shopId/staff/:staffId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('staffId'),
+  verifyShopOwnership,
+  deleteStaff
+);
+
+// Lock policies; staff who lock devices can list them to pick one
+router.get('/:shopId/lock-policies',
+  requirePermission('lock_devices', 'bulk_operations'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getLockPolicies
+);
+
+router.post('/:shopId/lock-policies',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateLockPolicy,
+  createLockPolicy
+);
+
+router.put('/:shopId/lock-policies/:policyId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('policyId'),
+  verifyShopOwnership,
+  validateLockPolicyUpdate,
+  updateLockPolicy
+);
+
+router.delete('/:shopId/lock-policies/:policyId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('policyId'),
+  verifyShopOwnership,
+  deleteLockPolicy
+);
+
+// Escalation ladder (shop owners and superadmin only)
+router.get('/:shopId/escalation',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getEscalationPolicy
+);
+
+router.put('/:shopId/escalation',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateEscalation,
+  updateEscalationPolicy
+);
+
+// Late fee rules (shop owners and superadmin only)
+router.get('/:shopId/late-penalty',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getLatePenaltyRules
+);
+
+router.put('/:shopId/late-penalty',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateLatePenalty,
+  updateLatePenaltyRules
+);
+
+// Maker-checker approval settings (shop owners and superadmin only)
+router.get('/:shopId/approvals',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getApprovalSettings
+);
+
+router.put('/:shopId/approvals',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateApprovalSettings,
+  updateApprovalSettings
+);
+
+// Geofences (shop owners and superadmin only)
+router.get('/:shopId/geofences',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  getGeofences
+);
+
+router.post('/:shopId/geofences',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  verifyShopOwnership,
+  validateGeofence,
+  createGeofence
+);
+
+router.put('/:shopId/geofences/:geofenceId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('geofenceId'),
+  verifyShopOwnership,
+  validateGeofenceUpdate,
+  updateGeofence
+);
+
+router.delete('/:shopId/geofences/:geofenceId',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('shopId'),
+  validateObjectId('geofenceId'),
+  verifyShopOwnership,
+  deleteGeofence
+);
+
 module.exports = router;
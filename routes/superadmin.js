@@ -4,6 +4,7 @@ const User = require('../models/User');
 const Shop = require('../models/Shop');
 const Device = require('../models/Device');
 const ActivityLog = require('../models/ActivityLog');
+const { recordActivity } = require('../services/auditService');
 const { verifyToken, authorize } = require('../middleware/auth');
 
 // Apply authentication and superadmin authorization to all routes
@@ -127,7 +128,7 @@ router.get('/admins/:adminId', async (req, res) => {
         User.countDocuments({ shop: admin.shop._id, role: 'user' }),
         Device.countDocuments({ shop: admin.shop._id }),
         Device.countDocuments({ shop: admin.shop._id, isActive: true }),
-        ActivityLog.find({ shop: admin.shop._id })
+        ActivityLog.find({ shop: admin.shop._id, purgedAt: { $exists: false } })
           .sort({ createdAt: -1 })
           .limit(10)
           .populate('user', 'name phone')
@@ -192,14 +193,12 @@ router.delete('/admins/:adminId', async (req, res) => {
     await User.findByIdAndDelete(adminId);
 
     // Log activity
-    await ActivityLog.createLog({
+    await recordActivity({
       user: req.user._id,
       action: 'admin_deleted',
       description: `Shop owner deleted: ${admin.name} (${admin.email})`,
-      category: 'admin',
       performedBy: req.user._id,
-      ipAddress: req.ip,
-      userAgent: req.get('User-Agent')
+      req
     });
 
     res.json({
@@ -234,7 +233,7 @@ router.get('/dashboard/stats', async (req, res) => {
       Device.countDocuments(),
       Device.countDocuments({ isActive: true }),
       User.countDocuments({ role: 'shopowner' }),
-      ActivityLog.find()
+      ActivityLog.find({ purgedAt: { $exists: false } })
         .sort({ createdAt: -1 })
         .limit(10)
         .populate('user', 'name email')
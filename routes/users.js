@@ -7,15 +7,26 @@ const {
   updateUser,
   deleteUser
 } = require('../controllers/userController');
+const {
+  getStatement,
+  getEmiPlan,
+  createEmiPlan,
+  waivePlanPenalty
+} = require('../controllers/emiController');
 const {
   verifyToken,
   authorize,
+  requirePermission,
+  requireStaffPermission,
   verifyUserAccess,
   logActivity
 } = require('../middleware/auth');
 const {
   validateUserRegistration,
   validateUserUpdate,
+  validateEmiPlan,
+  validatePenaltyWaiver,
+  validateStatementQuery,
   validatePagination,
   validateObjectId
 } = require('../middleware/validation');
@@ -26,7 +37,7 @@ router.use(verifyToken);
 // Get all users (with pagination and filtering)
 router.get('/',
   validatePagination,
-  logActivity('users_viewed', 'user', 'Viewed users list'),
+  logActivity('users_viewed', 'Viewed users list'),
   getUsers
 );
 
@@ -34,24 +45,23 @@ router.get('/',
 router.get('/:userId',
   validateObjectId('userId'),
   verifyUserAccess,
-  logActivity('user_viewed', 'user', 'Viewed user details'),
+  logActivity('user_viewed', 'Viewed user details'),
   getUserById
 );
 
-// Create new user (shop owners and superadmin only)
+// Create new customer
 router.post('/',
-  authorize('shopowner', 'superadmin'),
+  requirePermission('register_customers'),
   validateUserRegistration,
-  logActivity('user_created', 'user', 'Created new user'),
   createUser
 );
 
 // Update user
 router.put('/:userId',
+  requireStaffPermission('register_customers'),
   validateObjectId('userId'),
   verifyUserAccess,
   validateUserUpdate,
-  logActivity('user_updated', 'user', 'Updated user'),
   updateUser
 );
 
@@ -60,8 +70,43 @@ router.delete('/:userId',
   authorize('shopowner', 'superadmin'),
   validateObjectId('userId'),
   verifyUserAccess,
-  logActivity('user_deleted', 'user', 'Deleted user'),
   deleteUser
 );
 
+// Get customer's EMI statement (?format=json|csv|pdf)
+router.get('/:userId/statement',
+  requireStaffPermission('view_reports'),
+  validateObjectId('userId'),
+  verifyUserAccess,
+  validateStatementQuery,
+  logActivity('statement_viewed', 'Viewed customer statement'),
+  getStatement
+);
+
+// Get customer's EMI plan and installment schedule
+router.get('/:userId/emi-plan',
+  validateObjectId('userId'),
+  verifyUserAccess,
+  getEmiPlan
+);
+
+// Create EMI plan for a customer
+router.post('/:userId/emi-plan',
+  requirePermission('register_customers'),
+  validateObjectId('userId'),
+  verifyUserAccess,
+  validateEmiPlan,
+  createEmiPlan
+);
+
+// Waive a late fee (shop owners and superadmin only)
+router.post('/:userId/emi-plan/penalties/:penaltyId/waive',
+  authorize('shopowner', 'superadmin'),
+  validateObjectId('userId'),
+  validateObjectId('penaltyId'),
+  verifyUserAccess,
+  validatePenaltyWaiver,
+  waivePlanPenalty
+);
+
 module.exports = router;
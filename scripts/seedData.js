@@ -201,7 +201,7 @@ const seedData = async () => {
       const randomDevice = devices.find(d => d.user.toString() === randomUser._id.toString());
       const randomAction = actionTypes[Math.floor(Math.random() * actionTypes.length)];
       
-      const activity = new ActivityLog({
+      const activity = {
         user: randomUser._id,
         shop: randomUser.shop,
         device: randomDevice ? randomDevice._id : null,
@@ -213,12 +213,16 @@ const seedData = async () => {
         userAgent: 'Mozilla/5.0 (Sample User Agent)',
         severity: ['low', 'medium', 'high'][Math.floor(Math.random() * 3)],
         createdAt: new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000) // Random time in last 30 days
-      });
+      };
 
       activities.push(activity);
     }
 
-    await ActivityLog.insertMany(activities);
+    // Append in time order so each shop's hash chain follows createdAt
+    activities.sort((a, b) => a.createdAt - b.createdAt);
+    for (const activity of activities) {
+      await ActivityLog.createLog(activity);
+    }
     console.log('✅ Sample activity logs created');
 
     console.log('\n🎉 Data seeding completed successfully!');
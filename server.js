@@ -4,6 +4,18 @@ const cors = require('cors');
 const http = require('http');
 const socketIo = require('socket.io');
 const connectDB = require('./config/database');
+const { pushOutstanding } = require('./services/deviceCommandService');
+const { authenticateSocket, getSocketRooms, canSendToRoom } = require('./middleware/socketAuth');
+const { startOfflineSweeper } = require('./jobs/offlineSweeper');
+const { startEmiDefaultJob } = require('./jobs/emiDefaultJob');
+const { startLatePenaltyJob } = require('./jobs/latePenaltyJob');
+const { startWebhookRetryJob } = require('./jobs/webhookRetryJob');
+const { startAuditCheckpointJob } = require('./jobs/auditCheckpointJob');
+const { startAuditRetentionJob } = require('./jobs/auditRetentionJob');
+const { startApprovalExpiryJob } = require('./jobs/approvalExpiryJob');
+const { startLockScheduleJob } = require('./jobs/lockScheduleJob');
+const { startEscalationJob } = require('./jobs/escalationJob');
+const { startWebhookDispatcher } = require('./services/webhookService');
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -13,6 +25,8 @@ const deviceRoutes = require('./routes/devices');
 const adminRoutes = require('./routes/admin');
 const superadminRoutes = require('./routes/superadmin');
 const mobileRoutes = require('./routes/mobile');
+const paymentRoutes = require('./routes/payments');
+const approvalRoutes = require('./routes/approvals');
 
 // Initialize Express app
 const app = express();
@@ -39,7 +53,15 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body of gateway webhooks for signature verification
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/gateway/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // Request logging middleware
@@ -72,42 +94,50 @@ app.use('/api/devices', deviceRoutes);
 app.use('/api/admin', adminRoutes);
 app.use('/api/superadmin', superadminRoutes);
 app.use('/api/mobile', mobileRoutes);
+app.use('/api/payments', paymentRoutes);
+app.use('/api/approvals', approvalRoutes);
+
+// Socket.IO authentication and connection handling
+io.use(authenticateSocket);
 
-// Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('New client connected:', socket.id);
-
-  // Join room based on user role and shop
-  socket.on('join-room', (data) => {
-    const { userId, role, shopId } = data;
-    
-    if (role === 'superadmin') {
-      socket.join('superadmin');
-    } else if (role === 'shopowner' && shopId) {
-      socket.join(`shop-${shopId}`);
-    } else if (role === 'user' && userId) {
-      socket.join(`user-${userId}`);
-    }
-    
-    console.log(`User ${userId} joined room for role: ${role}`);
+  const { user, device } = socket.data;
+  const rooms = getSocketRooms(socket);
+  socket.join(rooms);
+
+  console.log(`Client connected: ${socket.id} (${device ? `device ${device.deviceId}` : `${user.role} ${user._id}`})`);
+
+  // Locker app: deliver anything queued while it was disconnected
+  if (device) {
+    pushOutstanding(io, device._id).catch(error => {
+      console.error('Error delivering queued commands:', error);
+    });
+  }
+
+  // Rooms are assigned on connection; kept so older clients get a reply
+  socket.on('join-room', () => {
+    socket.emit('rooms-joined', { rooms });
   });
 
-  // Handle device status updates
-  socket.on('device-status-update', (data) => {
-    const { deviceId, status, shopId } = data;
-    
-    // Broadcast to shop room
-    if (shopId) {
-      socket.to(`shop-${shopId}`).emit('device-status-changed', {
-        deviceId,
-        status,
-        timestamp: new Date()
-      });
+  // Handle device status updates (locker agent only)
+  socket.on('device-status-update', (data = {}) => {
+    if (!device) {
+      return socket.emit('error-message', { message: 'Only devices can report status.' });
     }
-    
+
+    const { status } = data;
+    const shopId = device.shop;
+
+    // Broadcast to shop room
+    socket.to(`shop-${shopId}`).emit('device-status-changed', {
+      deviceId: device._id,
+      status,
+      timestamp: new Date()
+    });
+
     // Broadcast to superadmin
     socket.to('superadmin').emit('device-status-changed', {
-      deviceId,
+      deviceId: device._id,
       status,
       shopId,
       timestamp: new Date()
@@ -115,14 +145,22 @@ io.on('connection', (socket) => {
   });
 
   // Handle real-time notifications
-  socket.on('send-notification', (data) => {
+  socket.on('send-notification', async (data = {}) => {
     const { targetRoom, message, type } = data;
-    
-    socket.to(targetRoom).emit('notification', {
-      message,
-      type,
-      timestamp: new Date()
-    });
+
+    try {
+      if (!(await canSendToRoom(socket, targetRoom))) {
+        return socket.emit('error-message', { message: 'Not allowed to notify this room.' });
+      }
+
+      socket.to(targetRoom).emit('notification', {
+        message,
+        type,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      console.error('Send notification error:', error);
+    }
   });
 
   socket.on('disconnect', () => {
@@ -159,6 +197,18 @@ server.listen(PORT, () => {
 📊 Database: ${process.env.MONGODB_URI}
 🔗 Health Check: http://localhost:${PORT}/health
   `);
+
+  // Outbound webhooks and background jobs
+  startWebhookDispatcher();
+  startOfflineSweeper(io);
+  startEmiDefaultJob(io);
+  startLatePenaltyJob();
+  startWebhookRetryJob();
+  startAuditCheckpointJob();
+  startAuditRetentionJob();
+  startApprovalExpiryJob(io);
+  startLockScheduleJob(io);
+  startEscalationJob(io);
 });
 
 // Handle unhandled promise rejections
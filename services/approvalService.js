@@ -0,0 +1,306 @@
+const ApprovalRequest = require('../models/ApprovalRequest');
+const Device = require('../models/Device');
+const Shop = require('../models/Shop');
+const LockPolicy = require('../models/LockPolicy');
+const { applyLock, applyUnlock, isAlreadyLocked, runBulkOperation } = require('./deviceLockService');
+const { recordActivity } = require('./auditService');
+const { EVENTS, publishApprovalEvent } = require('./eventBus');
+
+const HOUR = 60 * 60 * 1000;
+
+// Errors carrying an HTTP status for the controller to relay
+const approvalError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Permission a checker needs to approve each operation
+const OPERATION_PERMISSIONS = {
+  lock: 'lock_devices',
+  unlock: 'unlock_devices',
+  bulk_lock: 'bulk_operations',
+  bulk_unlock: 'bulk_operations'
+};
+
+const OPERATION_LABELS = {
+  lock: 'lock',
+  unlock: 'unlock',
+  bulk_lock: 'bulk lock',
+  bulk_unlock: 'bulk unlock'
+};
+
+const logApprovalActivity = (approval, action, description, { performedBy, req, metadata = {} } = {}) => {
+  return recordActivity({
+    shop: approval.shop,
+    device: approval.devices.length === 1 ? approval.devices[0] : undefined,
+    action,
+    description,
+    performedBy,
+    req,
+    metadata: {
+      approvalRequest: approval._id,
+      operation: approval.operation,
+      deviceCount: approval.devices.length,
+      ...metadata
+    }
+  });
+};
+
+// Queue an operation for approval instead of running it. Expects the shop
+// document, whose settings decide how long the request stays open.
+const createApprovalRequest = async ({ io, shop, operation, devices, reason, policy, comment, requestedBy, req }) => {
+  const deviceIds = devices.map(device => device._id);
+
+  const duplicate = await ApprovalRequest.exists({ operation, status: 'pending', devices: { $in: deviceIds } });
+  if (duplicate) {
+    throw approvalError(`A ${OPERATION_LABELS[operation]} request for ${devices.length === 1 ? 'this device' : 'some of these devices'} is already pending approval`, 409);
+  }
+
+  const approval = await ApprovalRequest.create({
+    shop: shop._id,
+    operation,
+    devices: deviceIds,
+    reason: ['lock', 'bulk_lock'].includes(operation) ? reason : undefined,
+    policy: policy && ['lock', 'bulk_lock'].includes(operation) ? policy._id : undefined,
+    requestedBy: requestedBy._id,
+    expiresAt: new Date(Date.now() + shop.settings.approvals.expiryHours * HOUR),
+    comments: comment ? [{ author: requestedBy._id, text: comment }] : []
+  });
+
+  await logApprovalActivity(approval, 'approval_requested',
+    `Approval requested for ${OPERATION_LABELS[operation]} of ${devices.length} device(s)`,
+    { performedBy: requestedBy._id, req, metadata: { reason: approval.reason } });
+
+  publishApprovalEvent(io, EVENTS.APPROVAL_REQUESTED, approval);
+
+  return approval;
+};
+
+// Approval requests visible to a user: their own shop's, or all for the superadmin
+const approvalFilter = (user, filter = {}) => {
+  return user.isShopMember() ? { ...filter, shop: user.shop._id } : filter;
+};
+
+const findApproval = async (user, approvalId) => {
+  const approval = await ApprovalRequest.findOne(approvalFilter(user, { _id: approvalId }));
+  if (!approval) {
+    throw approvalError('Approval request not found', 404);
+  }
+  return approval;
+};
+
+// Mark a lapsed request expired. Returns null if it was no longer pending.
+const expireApproval = async (io, approval) => {
+  const expired = await ApprovalRequest.findOneAndUpdate(
+    { _id: approval._id, status: 'pending' },
+    { $set: { status: 'expired', decidedAt: new Date() } },
+    { new: true }
+  );
+  if (!expired) {
+    return null;
+  }
+
+  // System actions are attributed to the shop owner
+  const shop = await Shop.findById(expired.shop).select('owner');
+  await logApprovalActivity(expired, 'approval_expired',
+    `Approval request for ${OPERATION_LABELS[expired.operation]} expired`,
+    { performedBy: shop ? shop.owner : expired.requestedBy, metadata: { requestedBy: expired.requestedBy } });
+
+  publishApprovalEvent(io, EVENTS.APPROVAL_DECIDED, expired);
+  return expired;
+};
+
+// Move a pending request to a decided state, guarding against a second
+// decision racing this one
+const claimDecision = async (io, approval, status, user, comment) => {
+  const now = new Date();
+  const update = { $set: { status, decidedBy: user._id, decidedAt: now } };
+  if (comment) {
+    update.$push = { comments: { author: user._id, text: comment, createdAt: now } };
+  }
+
+  const claimed = await ApprovalRequest.findOneAndUpdate(
+    { _id: approval._id, status: 'pending', expiresAt: { $gt: now } },
+    update,
+    { new: true }
+  );
+  if (claimed) {
+    return claimed;
+  }
+
+  if (approval.status === 'pending' && approval.expiresAt <= now) {
+    await expireApproval(io, approval);
+    throw approvalError('Approval request has expired', 409);
+  }
+
+  const current = await ApprovalRequest.findById(approval._id).select('status');
+  throw approvalError(`Approval request is already ${current ? current.status : 'closed'}`, 409);
+};
+
+// The checker must be a different user allowed to perform the operation
+const assertCanDecide = (user, approval) => {
+  if (approval.requestedBy.toString() === user._id.toString()) {
+    throw approvalError('Requests must be approved by a different user', 403);
+  }
+  if (!user.hasPermission(OPERATION_PERMISSIONS[approval.operation])) {
+    throw approvalError('Access denied. Insufficient permissions.', 403);
+  }
+};
+
+// Run an approved operation on the devices still in the shop, attributing it
+// to the requester
+const executeApproval = async (io, approval, req) => {
+  const devices = await Device.find({ _id: { $in: approval.devices }, shop: approval.shop }).populate('user shop');
+  const performedBy = approval.requestedBy;
+  const metadata = { approvalRequest: approval._id, approvedBy: approval.decidedBy };
+
+  // A policy deleted since the request was made falls back to the shop default
+  const policy = approval.policy
+    ? (await LockPolicy.findOne({ _id: approval.policy, shop: approval.shop })) || undefined
+    : undefined;
+
+  if (approval.operation === 'bulk_lock' || approval.operation === 'bulk_unlock') {
+    return runBulkOperation(io, approval.operation === 'bulk_lock' ? 'lock' : 'unlock', devices, {
+      reason: approval.reason,
+      policy,
+      performedBy,
+      req,
+      metadata
+    });
+  }
+
+  const results = { successful: [], failed: [] };
+  const device = devices[0];
+  const locking = approval.operation === 'lock';
+
+  if (!device) {
+    results.failed.push({ deviceId: approval.devices[0], reason: 'Device not found' });
+    return results;
+  }
+
+  if (locking ? isAlreadyLocked(device, policy) : !device.lockStatus.isLocked) {
+    results.failed.push({ deviceId: device._id, deviceName: device.deviceId, reason: locking ? 'Already locked' : 'Not locked' });
+    return results;
+  }
+
+  if (locking) {
+    await applyLock(io, device, { reason: approval.reason, policy, performedBy });
+  } else {
+    await applyUnlock(io, device, { performedBy });
+  }
+
+  await recordActivity({
+    user: device.user._id,
+    shop: device.shop._id,
+    device: device._id,
+    action: locking ? 'device_locked' : 'device_unlocked',
+    description: locking
+      ? `Device locked: ${device.deviceId} (Reason: ${device.lockStatus.lockReason})`
+      : `Device unlocked: ${device.deviceId}`,
+    performedBy,
+    req,
+    metadata
+  });
+
+  results.successful.push({ deviceId: device._id, deviceName: device.deviceId, userName: device.user.name });
+  return results;
+};
+
+// Approve a pending request and run the operation
+const approveRequest = async ({ io, approvalId, user, comment, req }) => {
+  const approval = await findApproval(user, approvalId);
+  assertCanDecide(user, approval);
+
+  const approved = await claimDecision(io, approval, 'approved', user, comment);
+
+  try {
+    approved.result = await executeApproval(io, approved, req);
+  } catch (error) {
+    console.error(`Approved operation ${approved._id} failed:`, error);
+    approved.result = { successful: [], failed: [{ reason: error.message }] };
+  }
+  approved.executedAt = new Date();
+  await approved.save();
+
+  await logApprovalActivity(approved, 'approval_approved',
+    `Approved ${OPERATION_LABELS[approved.operation]} of ${approved.devices.length} device(s)`,
+    {
+      performedBy: user._id,
+      req,
+      metadata: {
+        requestedBy: approved.requestedBy,
+        comment,
+        successful: approved.result.successful.length,
+        failed: approved.result.failed.length
+      }
+    });
+
+  publishApprovalEvent(io, EVENTS.APPROVAL_DECIDED, approved);
+  return approved;
+};
+
+const rejectRequest = async ({ io, approvalId, user, comment, req }) => {
+  const approval = await findApproval(user, approvalId);
+  assertCanDecide(user, approval);
+
+  const rejected = await claimDecision(io, approval, 'rejected', user, comment);
+
+  await logApprovalActivity(rejected, 'approval_rejected',
+    `Rejected ${OPERATION_LABELS[rejected.operation]} of ${rejected.devices.length} device(s)`,
+    { performedBy: user._id, req, metadata: { requestedBy: rejected.requestedBy, comment } });
+
+  publishApprovalEvent(io, EVENTS.APPROVAL_DECIDED, rejected);
+  return rejected;
+};
+
+// Withdraw a request; only the requester or the shop owner may do so
+const cancelRequest = async ({ io, approvalId, user, comment, req }) => {
+  const approval = await findApproval(user, approvalId);
+
+  const isRequester = approval.requestedBy.toString() === user._id.toString();
+  if (!isRequester && user.role === 'shopstaff') {
+    throw approvalError('Only the requester can cancel this request', 403);
+  }
+
+  const cancelled = await claimDecision(io, approval, 'cancelled', user, comment);
+
+  await logApprovalActivity(cancelled, 'approval_cancelled',
+    `Cancelled ${OPERATION_LABELS[cancelled.operation]} request for ${cancelled.devices.length} device(s)`,
+    { performedBy: user._id, req, metadata: { requestedBy: cancelled.requestedBy, comment } });
+
+  publishApprovalEvent(io, EVENTS.APPROVAL_DECIDED, cancelled);
+  return cancelled;
+};
+
+const addComment = async ({ approvalId, user, text, req }) => {
+  const approval = await findApproval(user, approvalId);
+
+  approval.comments.push({ author: user._id, text });
+  await approval.save();
+
+  await logApprovalActivity(approval, 'approval_commented', 'Commented on approval request',
+    { performedBy: user._id, req, metadata: { comment: text } });
+
+  return approval;
+};
+
+// Expire every pending request past its deadline
+const expireDueApprovals = async (io) => {
+  const due = await ApprovalRequest.find({ status: 'pending', expiresAt: { $lte: new Date() } });
+  let expired = 0;
+
+  for (const approval of due) {
+    if (await expireApproval(io, approval)) {
+      expired++;
+    }
+  }
+
+  return { expired };
+};
+
+module.exports = {
+  createApprovalRequest,
+  approvalFilter,
+  approveRequest,
+  rejectRequest,
+  cancelRequest,
+  addComment,
+  expireDueApprovals
+};
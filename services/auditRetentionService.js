@@ -0,0 +1,136 @@
+const ActivityLog = require('../models/ActivityLog');
+const User = require('../models/User');
+const Shop = require('../models/Shop');
+const { retentionRules } = require('../config/auditRetention');
+const { recordActivity } = require('./auditService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Content removed from an expired chained entry. The rest (chain position,
+// hashes, action, category, severity and timestamp) stays as a stub whose
+// hash still verifies against its stored content hash.
+const PURGED_FIELDS = ActivityLog.CONTENT_FIELDS;
+
+const escapeRegex = (text) => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+
+const matchValue = (value) => (Array.isArray(value) ? { $in: value } : value);
+
+// Query matching every entry a rule describes, ignoring its age
+const ruleFilter = (rule) => {
+  const filter = {};
+  if (rule.category) {
+    filter.category = matchValue(rule.category);
+  }
+  if (rule.severity) {
+    filter.severity = matchValue(rule.severity);
+  }
+  if (rule.action) {
+    filter.action = rule.action.includes('*')
+      ? new RegExp(`^${rule.action.split('*').map(escapeRegex).join('.*')}$`)
+      : rule.action;
+  }
+  return filter;
+};
+
+// Entries governed by a rule: those it matches that no earlier rule matched
+const governedBy = (rules, index) => {
+  const earlier = rules.slice(0, index).map(ruleFilter);
+  return earlier.length > 0
+    ? { $and: [ruleFilter(rules[index]), { $nor: earlier }] }
+    : ruleFilter(rules[index]);
+};
+
+const countByChain = async (filter, key) => {
+  const groups = await ActivityLog.aggregate([
+    { $match: filter },
+    { $group: { _id: key, count: { $sum: 1 } } }
+  ]);
+  return groups.map(group => ({ chain: ActivityLog.chainFor(group._id), count: group.count }));
+};
+
+// Shop chains are attributed to the shop owner, the global chain to the superadmin
+const findPurgeActor = async (chain) => {
+  if (chain !== ActivityLog.GLOBAL_CHAIN) {
+    const shop = await Shop.findById(chain).select('owner');
+    if (shop) {
+      return { shop: shop._id, performedBy: shop.owner };
+    }
+  }
+
+  const superadmin = await User.findOne({ role: 'superadmin' }).select('_id');
+  return superadmin ? { performedBy: superadmin._id } : null;
+};
+
+// Apply the retention rules: chained entries past their retention are reduced
+// to stubs, entries written before chaining are deleted outright. Each
+// affected chain gets a logs_purged entry recording what was removed.
+const purgeExpiredLogs = async ({ now = new Date(), rules = retentionRules } = {}) => {
+  const purged = new Map();
+  const tally = (counts, field) => {
+    counts.forEach(({ chain, count }) => {
+      const totals = purged.get(chain) || { redacted: 0, deleted: 0 };
+      totals[field] += count;
+      purged.set(chain, totals);
+    });
+  };
+
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
+    if (rule.days === null || rule.days === undefined) {
+      continue;
+    }
+
+    const expired = {
+      ...governedBy(rules, index),
+      createdAt: { $lt: new Date(now.getTime() - rule.days * DAY) },
+      purgedAt: { $exists: false }
+    };
+
+    const chained = { ...expired, sequence: { $exists: true } };
+    const redacted = await countByChain(chained, '$chain');
+    if (redacted.length > 0) {
+      // The one sanctioned change to saved entries, so it bypasses the
+      // model's append-only hooks
+      await ActivityLog.collection.updateMany(chained, {
+        $set: { purgedAt: now },
+        $unset: Object.fromEntries(PURGED_FIELDS.map(field => [field, '']))
+      });
+      tally(redacted, 'redacted');
+    }
+
+    const unchained = { ...expired, sequence: { $exists: false } };
+    const deleted = await countByChain(unchained, '$shop');
+    if (deleted.length > 0) {
+      await ActivityLog.deleteMany(unchained);
+      tally(deleted, 'deleted');
+    }
+  }
+
+  for (const [chain, totals] of purged) {
+    const actor = await findPurgeActor(chain);
+    if (!actor) {
+      console.warn(`No user to attribute the log purge of chain ${chain} to`);
+      continue;
+    }
+
+    await recordActivity({
+      action: 'logs_purged',
+      description: `Retention purge removed ${totals.redacted + totals.deleted} expired log entries`,
+      ...actor,
+      metadata: {
+        ...totals,
+        rules
+      }
+    });
+  }
+
+  return {
+    chains: purged.size,
+    redacted: [...purged.values()].reduce((sum, totals) => sum + totals.redacted, 0),
+    deleted: [...purged.values()].reduce((sum, totals) => sum + totals.deleted, 0)
+  };
+};
+
+module.exports = {
+  purgeExpiredLogs
+};
@@ -0,0 +1,306 @@
+const crypto = require('crypto');
+const ActivityLog = require('../models/ActivityLog');
+const AuditCheckpoint = require('../models/AuditCheckpoint');
+const { retentionRules } = require('../config/auditRetention');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Verification stops listing breaks after this many; the count is still exact
+const MAX_REPORTED_BREAKS = 100;
+
+// No retention rule purges an entry younger than this; a stub purged sooner
+// had its content removed by someone other than the retention job
+const MIN_RETENTION_DAYS = Math.min(...retentionRules.map(rule => rule.days).filter(days => days > 0));
+
+let signingKey;
+
+// Record an audited action. Category and default severity come from the
+// action catalogue in the ActivityLog model. A failed write is reported but
+// never fails the operation being audited.
+const recordActivity = async ({
+  action,
+  description,
+  user,
+  shop,
+  device,
+  performedBy,
+  severity,
+  metadata,
+  req,
+  ipAddress = req?.ip,
+  userAgent = req?.get('User-Agent')
+}) => {
+  const definition = ActivityLog.ACTIONS[action];
+  if (!definition) {
+    console.error(`Unknown activity action: ${action}`);
+    return null;
+  }
+
+  try {
+    return await ActivityLog.createLog({
+      // Actions without a subject customer are filed under whoever performed them
+      user: user || performedBy,
+      shop: shop?._id || shop,
+      device: device?._id || device,
+      action,
+      description,
+      category: definition.category,
+      severity: severity || definition.severity,
+      performedBy,
+      ipAddress,
+      userAgent,
+      metadata
+    });
+  } catch (error) {
+    // createLog has already reported the error
+    return null;
+  }
+};
+
+// Checkpoints are signed with AUDIT_SIGNING_KEY (a PEM private key, Ed25519
+// or RSA) so exports can be verified with the public key alone. Without it
+// they fall back to an HMAC keyed by AUDIT_HMAC_SECRET or JWT_SECRET.
+const getSigningKey = () => {
+  if (signingKey === undefined) {
+    const pem = process.env.AUDIT_SIGNING_KEY;
+    signingKey = pem ? crypto.createPrivateKey(pem.replace(/\\n/g, '\n')) : null;
+  }
+  return signingKey;
+};
+
+const getHmacSecret = () => {
+  const secret = process.env.AUDIT_HMAC_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('No audit signing key or HMAC secret configured');
+  }
+  return secret;
+};
+
+const signingAlgorithm = (key) => {
+  if (!key) {
+    return 'hmac-sha256';
+  }
+  return key.asymmetricKeyType === 'ed25519' ? 'ed25519' : `${key.asymmetricKeyType}-sha256`;
+};
+
+// The signed message: "<chain>.<sequence>.<hash>.<signedAt ISO>"
+const checkpointMessage = ({ chain, sequence, hash, signedAt }) => {
+  return Buffer.from(`${chain}.${sequence}.${hash}.${new Date(signedAt).toISOString()}`);
+};
+
+const signCheckpoint = (fields) => {
+  const key = getSigningKey();
+  const message = checkpointMessage(fields);
+
+  const signature = key
+    ? crypto.sign(key.asymmetricKeyType === 'ed25519' ? null : 'sha256', message, key).toString('base64')
+    : crypto.createHmac('sha256', getHmacSecret()).update(message).digest('base64');
+
+  return { algorithm: signingAlgorithm(key), signature };
+};
+
+// Returns null when the checkpoint was signed under a different key type
+const verifyCheckpointSignature = (checkpoint) => {
+  const key = getSigningKey();
+  if (checkpoint.algorithm !== signingAlgorithm(key)) {
+    return null;
+  }
+
+  const message = checkpointMessage(checkpoint);
+  const signature = Buffer.from(checkpoint.signature, 'base64');
+
+  if (key) {
+    return crypto.verify(
+      key.asymmetricKeyType === 'ed25519' ? null : 'sha256',
+      message,
+      crypto.createPublicKey(key),
+      signature
+    );
+  }
+
+  const expected = crypto.createHmac('sha256', getHmacSecret()).update(message).digest();
+  return expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+};
+
+// PEM public key for verifying exported checkpoints, or null for HMAC signing
+const getCheckpointPublicKey = () => {
+  const key = getSigningKey();
+  return key ? crypto.createPublicKey(key).export({ type: 'spki', format: 'pem' }) : null;
+};
+
+// Export form of a checkpoint: everything needed to check the signature
+const toCheckpointRecord = (checkpoint) => ({
+  chain: checkpoint.chain,
+  sequence: checkpoint.sequence,
+  hash: checkpoint.hash,
+  signedAt: new Date(checkpoint.signedAt).toISOString(),
+  algorithm: checkpoint.algorithm,
+  signature: checkpoint.signature
+});
+
+const getChainHead = (chain) => {
+  return ActivityLog.findOne({ chain, sequence: { $exists: true } })
+    .sort({ sequence: -1 })
+    .select('chain sequence hash shop');
+};
+
+// Sign the head of every chain that moved since its last checkpoint
+const createCheckpoints = async () => {
+  const chains = await ActivityLog.distinct('chain', { sequence: { $exists: true } });
+  const checkpoints = [];
+
+  for (const chain of chains) {
+    const head = await getChainHead(chain);
+    const latest = await AuditCheckpoint.findOne({ chain }).sort({ sequence: -1 });
+    if (!head || (latest && latest.sequence >= head.sequence)) {
+      continue;
+    }
+
+    const fields = {
+      chain,
+      shop: head.shop,
+      sequence: head.sequence,
+      hash: head.hash,
+      signedAt: new Date()
+    };
+
+    checkpoints.push(await AuditCheckpoint.create({ ...fields, ...signCheckpoint(fields) }));
+  }
+
+  return checkpoints;
+};
+
+// Walk a chain in sequence order, recomputing every hash and checking each
+// link, and compare the entries against their signed checkpoints.
+const verifyChain = async (chain) => {
+  const breaks = [];
+  let breakCount = 0;
+  const report = (issue) => {
+    breakCount++;
+    if (breaks.length < MAX_REPORTED_BREAKS) {
+      breaks.push(issue);
+    }
+  };
+
+  const checkpoints = await AuditCheckpoint.find({ chain }).sort({ sequence: 1 });
+  const checkpointHashes = new Map();
+  let unverifiableCheckpoints = 0;
+
+  checkpoints.forEach(checkpoint => {
+    const signatureValid = verifyCheckpointSignature(checkpoint);
+    if (signatureValid === null) {
+      unverifiableCheckpoints++;
+    } else if (!signatureValid) {
+      report({ type: 'invalid_signature', sequence: checkpoint.sequence, checkpoint: checkpoint._id });
+      return;
+    }
+    checkpointHashes.set(checkpoint.sequence, checkpoint.hash);
+  });
+
+  let previous = null;
+  let entries = 0;
+  let checkpointsMatched = 0;
+  let purged = 0;
+
+  const cursor = ActivityLog.find({ chain, sequence: { $exists: true } }).sort({ sequence: 1 }).cursor();
+
+  for await (const entry of cursor) {
+    entries++;
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    const expectedPrevious = previous ? previous.hash : ActivityLog.GENESIS_HASH;
+
+    if (entry.sequence !== expectedSequence) {
+      report({ type: 'sequence_gap', sequence: entry.sequence, logId: entry._id, expected: expectedSequence });
+    } else if (entry.previousHash !== expectedPrevious) {
+      report({ type: 'broken_link', sequence: entry.sequence, logId: entry._id, expected: expectedPrevious, actual: entry.previousHash });
+    }
+
+    if (entry.purgedAt) {
+      purged++;
+      const minimumAge = MIN_RETENTION_DAYS * DAY;
+      if (entry.purgedAt - entry.createdAt < minimumAge || Date.now() - entry.createdAt < minimumAge) {
+        report({ type: 'premature_purge', sequence: entry.sequence, logId: entry._id, createdAt: entry.createdAt, purgedAt: entry.purgedAt });
+      }
+    }
+
+    if (entry.contentHash) {
+      // The header hash holds for stubs too; content is checked while present
+      const hash = entry.computeHash();
+      if (hash !== entry.hash) {
+        report({ type: 'hash_mismatch', sequence: entry.sequence, logId: entry._id, expected: hash, actual: entry.hash });
+      } else if (!entry.purgedAt && entry.computeContentHash() !== entry.contentHash) {
+        report({ type: 'content_mismatch', sequence: entry.sequence, logId: entry._id });
+      }
+    } else if (!entry.purgedAt) {
+      // Entries from before the content hash; their purged stubs cannot be rechecked
+      const hash = entry.computeLegacyHash();
+      if (hash !== entry.hash) {
+        report({ type: 'hash_mismatch', sequence: entry.sequence, logId: entry._id, expected: hash, actual: entry.hash });
+      }
+    }
+
+    if (checkpointHashes.has(entry.sequence)) {
+      checkpointsMatched++;
+      if (checkpointHashes.get(entry.sequence) !== entry.hash) {
+        report({ type: 'checkpoint_mismatch', sequence: entry.sequence, logId: entry._id, expected: checkpointHashes.get(entry.sequence), actual: entry.hash });
+      }
+    }
+
+    previous = { sequence: entry.sequence, hash: entry.hash };
+  }
+
+  // Entries removed from the end of a chain only show up against a checkpoint
+  const lastCheckpoint = checkpoints[checkpoints.length - 1];
+  if (lastCheckpoint && (!previous || previous.sequence < lastCheckpoint.sequence)) {
+    report({ type: 'truncated', sequence: lastCheckpoint.sequence, expected: lastCheckpoint.sequence, actual: previous ? previous.sequence : 0 });
+  }
+
+  // Entries written before chaining was introduced cannot be verified
+  const unchained = await ActivityLog.countDocuments({
+    shop: chain === ActivityLog.GLOBAL_CHAIN ? null : chain,
+    sequence: { $exists: false }
+  });
+
+  return {
+    chain,
+    valid: breakCount === 0,
+    entries,
+    purged,
+    unchained,
+    head: previous,
+    checkpoints: checkpoints.length,
+    checkpointsMatched,
+    unverifiableCheckpoints,
+    breakCount,
+    breaks
+  };
+};
+
+// Verify one chain, or every chain when none is given
+const verifyChains = async ({ chain } = {}) => {
+  const chains = chain
+    ? [chain]
+    : await ActivityLog.distinct('chain', { sequence: { $exists: true } });
+
+  const results = [];
+  for (const chain of chains) {
+    results.push(await verifyChain(chain));
+  }
+
+  return {
+    valid: results.every(result => result.valid),
+    verifiedAt: new Date(),
+    chains: results
+  };
+};
+
+module.exports = {
+  recordActivity,
+  signCheckpoint,
+  verifyCheckpointSignature,
+  getCheckpointPublicKey,
+  toCheckpointRecord,
+  createCheckpoints,
+  verifyChain,
+  verifyChains
+};
@@ -0,0 +1,129 @@
+const Device = require('../models/Device');
+const DeviceCommand = require('../models/DeviceCommand');
+
+// How long the handset has to confirm receipt of a pushed command
+const DELIVERY_ACK_TIMEOUT_MS = parseInt(process.env.COMMAND_DELIVERY_TIMEOUT_MS) || 10000;
+
+const LOCK_COMMANDS = ['lock', 'unlock'];
+
+const deviceRoom = (deviceId) => `device-${deviceId}`;
+
+// Drop the locker agent's live connections once its credentials change; it
+// has to reconnect with a token for the current credential version
+const disconnectDevice = (io, deviceId) => {
+  if (io) {
+    io.in(deviceRoom(deviceId)).disconnectSockets(true);
+  }
+};
+
+// Mirror lock/unlock command progress onto the device so the dashboard can
+// tell whether the latest lock state has actually reached the handset
+const syncLockStatus = async (command) => {
+  if (!LOCK_COMMANDS.includes(command.type)) {
+    return;
+  }
+
+  const filter = { _id: command.device, 'lockStatus.lastCommand': command._id };
+
+  // Never move an acknowledged command back to "delivered"
+  if (command.status === 'delivered') {
+    filter['lockStatus.syncStatus'] = 'pending';
+  }
+
+  await Device.updateOne(filter, {
+    $set: {
+      'lockStatus.syncStatus': command.status,
+      'lockStatus.syncedAt': new Date()
+    }
+  });
+};
+
+const markDelivered = async (command) => {
+  const transitioned = await command.markDelivered();
+  if (transitioned) {
+    await syncLockStatus(command);
+  }
+};
+
+// Push a command to the handset's socket room. The command stays pending until
+// the handset confirms receipt, so a missed push is picked up on the next poll.
+const pushCommand = (io, command) => {
+  if (!io) {
+    return;
+  }
+
+  io.to(deviceRoom(command.device))
+    .timeout(DELIVERY_ACK_TIMEOUT_MS)
+    .emit('device-command', command.toDevicePayload(), (err, responses) => {
+      if (err || !responses || responses.length === 0) {
+        return;
+      }
+
+      markDelivered(command).catch(error => {
+        console.error('Command delivery update error:', error);
+      });
+    });
+};
+
+// Queue a command for a device and try to push it right away
+const queueCommand = async (io, device, type, payload = {}, issuedBy) => {
+  const command = await DeviceCommand.create({
+    device: device._id,
+    shop: device.shop._id || device.shop,
+    type,
+    payload,
+    issuedBy
+  });
+
+  if (LOCK_COMMANDS.includes(type)) {
+    await Device.updateOne({ _id: device._id }, {
+      $set: {
+        'lockStatus.lastCommand': command._id,
+        'lockStatus.syncStatus': 'pending',
+        'lockStatus.syncedAt': null
+      }
+    });
+
+    device.lockStatus.lastCommand = command._id;
+    device.lockStatus.syncStatus = 'pending';
+    device.lockStatus.syncedAt = null;
+  }
+
+  pushCommand(io, command);
+
+  return command;
+};
+
+// Hand every outstanding command to a polling handset
+const collectOutstanding = async (deviceId) => {
+  const commands = await DeviceCommand.getOutstanding(deviceId);
+
+  for (const command of commands) {
+    await markDelivered(command);
+  }
+
+  return commands.map(command => command.toDevicePayload());
+};
+
+// Re-push every outstanding command, e.g. when the handset reconnects
+const pushOutstanding = async (io, deviceId) => {
+  const commands = await DeviceCommand.getOutstanding(deviceId);
+  commands.forEach(command => pushCommand(io, command));
+  return commands.length;
+};
+
+// Record the handset's execution result
+const acknowledgeCommand = async (command, status, result = {}) => {
+  await command.acknowledge(status, result);
+  await syncLockStatus(command);
+  return command;
+};
+
+module.exports = {
+  deviceRoom,
+  disconnectDevice,
+  queueCommand,
+  collectOutstanding,
+  pushOutstanding,
+  acknowledgeCommand
+};
@@ -0,0 +1,151 @@
+const { queueCommand } = require('./deviceCommandService');
+const { recordActivity } = require('./auditService');
+const { EVENTS, publishEvent, publishDeviceLockChange } = require('./eventBus');
+const { resolveLockPolicy, describeLockPolicy } = require('./lockPolicyService');
+
+// Lock a device, mirror the state onto its customer and queue the lock for the
+// handset, then notify dashboards. Expects the device populated with user and
+// shop. Without a policy the shop's default applies; pass null for the
+// built-in full lock.
+const applyLock = async (io, device, { reason, performedBy, policy, updateStatistics = true } = {}) => {
+  const lockPolicy = policy === undefined ? await resolveLockPolicy(device.shop._id) : policy;
+
+  await device.lockDevice(reason, performedBy, lockPolicy);
+
+  // Update user's device status
+  const user = device.user;
+  user.deviceStatus.isLocked = true;
+  user.deviceStatus.lastLockedAt = new Date();
+  user.deviceStatus.lockReason = device.lockStatus.lockReason;
+  await user.save();
+
+  if (updateStatistics) {
+    await device.shop.updateStatistics();
+  }
+
+  // Queue the lock for the handset; it is pushed now if the device is connected
+  await queueCommand(io, device, 'lock', {
+    reason: device.lockStatus.lockReason,
+    policy: describeLockPolicy(lockPolicy, device.shop)
+  }, performedBy);
+  publishDeviceLockChange(io, device, performedBy);
+
+  return device;
+};
+
+// Unlock counterpart of applyLock
+const applyUnlock = async (io, device, { performedBy, updateStatistics = true } = {}) => {
+  await device.unlockDevice();
+
+  // Update user's device status
+  const user = device.user;
+  user.deviceStatus.isLocked = false;
+  user.deviceStatus.lastUnlockedAt = new Date();
+  user.deviceStatus.lockReason = null;
+  await user.save();
+
+  if (updateStatistics) {
+    await device.shop.updateStatistics();
+  }
+
+  await queueCommand(io, device, 'unlock', {}, performedBy);
+  publishDeviceLockChange(io, device, performedBy);
+
+  return device;
+};
+
+// Whether a lock has nothing to do. A locked device only takes a new lock to
+// switch to an explicitly named policy (null being the built-in full lock).
+const isAlreadyLocked = (device, policy) => {
+  return policy === undefined ? device.lockStatus.isLocked : device.isLockedWith(policy);
+};
+
+// Announce a finished bulk operation to each affected shop
+const publishBulkSummary = (io, operation, devices, results, performedBy) => {
+  const shopByDevice = {};
+  devices.forEach(device => {
+    shopByDevice[device._id] = device.shop._id.toString();
+  });
+
+  new Set(Object.values(shopByDevice)).forEach(shopId => {
+    const count = (items) => items.filter(item => shopByDevice[item.deviceId] === shopId).length;
+
+    publishEvent(io, EVENTS.BULK_OPERATION_COMPLETED, {
+      operation,
+      performedBy,
+      successful: count(results.successful),
+      failed: count(results.failed)
+    }, { shop: shopId });
+  });
+};
+
+// Lock or unlock a batch of devices, logging each one, then refresh the
+// affected shops' statistics and announce the summary. Devices already in
+// the target state are reported as failed (see isAlreadyLocked for locks).
+// Expects devices populated with user and shop.
+const runBulkOperation = async (io, operation, devices, { reason = 'manual_lock', policy, performedBy, req, metadata } = {}) => {
+  const locking = operation === 'lock';
+  const results = {
+    successful: [],
+    failed: []
+  };
+
+  for (const device of devices) {
+    try {
+      if (locking ? isAlreadyLocked(device, policy) : !device.lockStatus.isLocked) {
+        results.failed.push({
+          deviceId: device._id,
+          deviceName: device.deviceId,
+          reason: locking ? 'Already locked' : 'Not locked'
+        });
+        continue;
+      }
+
+      if (locking) {
+        await applyLock(io, device, { reason, policy, performedBy, updateStatistics: false });
+      } else {
+        await applyUnlock(io, device, { performedBy, updateStatistics: false });
+      }
+
+      results.successful.push({
+        deviceId: device._id,
+        deviceName: device.deviceId,
+        userName: device.user.name
+      });
+
+      await recordActivity({
+        user: device.user._id,
+        shop: device.shop._id,
+        device: device._id,
+        action: locking ? 'bulk_lock' : 'bulk_unlock',
+        description: `Device bulk ${locking ? 'locked' : 'unlocked'}: ${device.deviceId}`,
+        performedBy,
+        req,
+        metadata
+      });
+    } catch (error) {
+      results.failed.push({
+        deviceId: device._id,
+        deviceName: device.deviceId,
+        reason: error.message
+      });
+    }
+  }
+
+  // Update shop statistics for affected shops
+  const shops = new Map(devices.map(device => [device.shop._id.toString(), device.shop]));
+  for (const shop of shops.values()) {
+    await shop.updateStatistics();
+  }
+
+  publishBulkSummary(io, operation, devices, results, performedBy);
+
+  return results;
+};
+
+module.exports = {
+  applyLock,
+  isAlreadyLocked,
+  applyUnlock,
+  runBulkOperation
+};
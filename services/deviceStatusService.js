@@ -0,0 +1,14 @@
+const { EVENTS, publishEvent } = require('./eventBus');
+
+// Notify dashboards that a device went online or offline
+const emitDeviceStatusChange = (io, device, status) => {
+  publishEvent(io, EVENTS.DEVICE_STATUS_CHANGED, {
+    deviceId: device._id,
+    status,
+    lastSeen: device.connectionStatus.lastSeen
+  }, { shop: device.shop });
+};
+
+module.exports = {
+  emitDeviceStatusChange
+};
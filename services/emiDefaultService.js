@@ -0,0 +1,120 @@
+const Device = require('../models/Device');
+const { recordActivity } = require('./auditService');
+const { applyLock, applyUnlock } = require('./deviceLockService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const isUnpaid = (installment) => installment.getOutstanding() > 0;
+
+// Unpaid installments whose due date plus the shop's grace period has passed
+const getDefaultedInstallments = (plan, shop, asOf = new Date()) => {
+  const cutoff = new Date(asOf.getTime() - (shop.settings.gracePeriodDays || 0) * DAY);
+  return plan.installments.filter(item => isUnpaid(item) && item.dueDate < cutoff);
+};
+
+// Any unpaid installment past its due date counts as arrears
+const hasArrears = (plan, asOf = new Date()) => {
+  return plan.installments.some(item => isUnpaid(item) && item.dueDate < asOf);
+};
+
+const findCustomerDevices = (plan, filter) => {
+  return Device.find({ user: plan.user, isActive: true, ...filter }).populate('user shop');
+};
+
+// Mark a plan defaulted and, when the shop has auto-lock enabled, lock the
+// customer's devices. Only acts on the transition into "defaulted" so a
+// manual unlock by the shop is not overridden on the next run. Shops with an
+// escalation ladder leave locking to the ladder.
+const enforceDefault = async (io, plan, shop) => {
+  const overdue = getDefaultedInstallments(plan, shop);
+  if (plan.status !== 'active' || overdue.length === 0) {
+    return null;
+  }
+
+  plan.refreshStatuses();
+  plan.status = 'defaulted';
+  await plan.save();
+  await plan.syncUser();
+
+  const lockedDevices = [];
+  if (shop.settings.autoLockOnDefault && shop.getEscalationLadder().length === 0) {
+    const devices = await findCustomerDevices(plan, { 'lockStatus.isLocked': false });
+    for (const device of devices) {
+      await applyLock(io, device, { reason: 'emi_default', updateStatistics: false });
+      lockedDevices.push(device.deviceId);
+    }
+    if (lockedDevices.length > 0) {
+      await shop.updateStatistics();
+    }
+  }
+
+  await recordActivity({
+    user: plan.user,
+    shop: shop._id,
+    action: 'emi_default',
+    description: lockedDevices.length > 0
+      ? `EMI defaulted (${overdue.length} installment(s) past grace period); locked ${lockedDevices.join(', ')}`
+      : `EMI defaulted (${overdue.length} installment(s) past grace period)`,
+    performedBy: shop.owner,
+    metadata: {
+      source: 'emi_default_job',
+      plan: plan._id,
+      overdueInstallments: overdue.map(item => item.number),
+      gracePeriodDays: shop.settings.gracePeriodDays,
+      lockedDevices
+    }
+  });
+
+  return { plan, lockedDevices };
+};
+
+// Reactivate a defaulted plan once its arrears are cleared and unlock devices
+// that were locked for emi_default
+const releaseClearedDefault = async (io, plan, performedBy) => {
+  if (plan.status !== 'defaulted' || hasArrears(plan)) {
+    return null;
+  }
+
+  plan.status = 'active';
+  plan.refreshStatuses();
+  await plan.save();
+  await plan.syncUser();
+
+  const devices = await findCustomerDevices(plan, {
+    'lockStatus.isLocked': true,
+    'lockStatus.lockReason': 'emi_default'
+  });
+
+  const unlockedDevices = [];
+  for (const device of devices) {
+    await applyUnlock(io, device, { performedBy, updateStatistics: false });
+    unlockedDevices.push(device.deviceId);
+  }
+
+  if (devices.length > 0) {
+    await devices[0].shop.updateStatistics();
+  }
+
+  await recordActivity({
+    user: plan.user,
+    shop: plan.shop,
+    action: 'emi_default_cleared',
+    description: unlockedDevices.length > 0
+      ? `EMI arrears cleared; unlocked ${unlockedDevices.join(', ')}`
+      : 'EMI arrears cleared',
+    performedBy,
+    metadata: {
+      plan: plan._id,
+      unlockedDevices
+    }
+  });
+
+  return { plan, unlockedDevices };
+};
+
+module.exports = {
+  getDefaultedInstallments,
+  hasArrears,
+  enforceDefault,
+  releaseClearedDefault
+};
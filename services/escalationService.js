@@ -0,0 +1,212 @@
+const Device = require('../models/Device');
+const EmiPlan = require('../models/EmiPlan');
+const LockPolicy = require('../models/LockPolicy');
+const User = require('../models/User');
+const { applyLock, applyUnlock } = require('./deviceLockService');
+const { hasArrears } = require('./emiDefaultService');
+const { sendSms } = require('./smsService');
+const { recordActivity } = require('./auditService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const LEVEL_RANK = { reminder: 1, restricted: 2, full: 3 };
+
+// Days since the oldest unpaid installment fell due; 0 if nothing is overdue
+const getOverdueDays = (plan, asOf = new Date()) => {
+  const overdue = plan.getUnpaidInstallments().find(item => item.getOutstanding() > 0 && item.dueDate < asOf);
+  return overdue ? Math.floor((asOf - overdue.dueDate) / DAY) : 0;
+};
+
+// Highest step of the ladder reached after this many days
+const stepFor = (ladder, overdueDays) => {
+  return ladder.filter(step => step.days <= overdueDays).pop() || null;
+};
+
+// The lock in force at a step: the highest lock step at or below it.
+// Undefined means no lock; a null policy is the built-in full lock.
+const resolveStepLock = async (ladder, days, shop) => {
+  const lockStep = ladder.filter(step => step.action === 'lock' && step.days <= days).pop();
+  if (!lockStep) {
+    return undefined;
+  }
+  if (!lockStep.policy) {
+    return null;
+  }
+  // A deleted policy falls back to the built-in full lock
+  return (await LockPolicy.findOne({ _id: lockStep.policy, shop: shop._id })) || null;
+};
+
+const levelOf = (policy) => (policy ? policy.level : 'full');
+
+const reminderText = (step, user, shop, overdueDays) => {
+  return step.message ||
+    `Dear ${user.name}, your EMI payment to ${shop.name} is ${overdueDays} day(s) overdue. ` +
+    `Please pay to avoid restrictions on your device. Contact: ${shop.contactInfo.phone}`;
+};
+
+// Raise the customer's devices to the step's lock. Devices the shop locked
+// harder by hand, or unlocked temporarily, are left alone.
+const escalateDevices = async (io, devices, policy, plan, shop) => {
+  const locked = [];
+  const ladderDevices = plan.escalation.lockedDevices.map(id => id.toString());
+
+  for (const device of devices) {
+    const byLadder = ladderDevices.includes(device._id.toString());
+
+    if (device.lockStatus.unlockedUntil) {
+      continue;
+    }
+    if (device.lockStatus.isLocked && !byLadder &&
+        (device.lockStatus.lockReason !== 'emi_default' ||
+         LEVEL_RANK[device.lockStatus.level] >= LEVEL_RANK[levelOf(policy)])) {
+      continue;
+    }
+
+    if (!device.isLockedWith(policy)) {
+      await applyLock(io, device, { reason: 'emi_default', policy, performedBy: shop.owner, updateStatistics: false });
+    }
+    locked.push(device._id);
+  }
+
+  return locked;
+};
+
+// Move devices the ladder locked down to the step's lock, or unlock them.
+// Devices the shop has since locked for another reason are handed back.
+const relaxDevices = async (io, plan, policy, shop) => {
+  const devices = await Device.find({ _id: { $in: plan.escalation.lockedDevices } }).populate('user shop');
+  const kept = [];
+
+  for (const device of devices) {
+    if (!device.lockStatus.isLocked || device.lockStatus.lockReason !== 'emi_default') {
+      continue;
+    }
+
+    if (policy === undefined) {
+      await applyUnlock(io, device, { performedBy: shop.owner, updateStatistics: false });
+      continue;
+    }
+
+    if (!device.isLockedWith(policy)) {
+      await applyLock(io, device, { reason: 'emi_default', policy, performedBy: shop.owner, updateStatistics: false });
+    }
+    kept.push(device._id);
+  }
+
+  return kept;
+};
+
+const saveEscalationState = (plan, state) => {
+  plan.escalation = state;
+  // Plans are saved with optimistic concurrency; a targeted update does not
+  // race payments updating the installments
+  return EmiPlan.updateOne({ _id: plan._id }, { $set: { escalation: state } });
+};
+
+// Move a plan to the ladder step matching its overdue days, recording the
+// change. Payments only ever move a plan down (allowEscalate false); the
+// daily job moves it either way. Returns null when nothing changed.
+const evaluatePlanEscalation = async (io, plan, shop, { allowEscalate = true } = {}) => {
+  const ladder = shop.getEscalationLadder();
+  const currentDays = plan.escalation?.days || 0;
+
+  // With the ladder switched off, an escalated plan is only released once clear
+  if (ladder.length === 0 && (currentDays === 0 || hasArrears(plan))) {
+    return null;
+  }
+
+  const overdueDays = getOverdueDays(plan);
+  const target = stepFor(ladder, overdueDays);
+  const targetDays = target ? target.days : 0;
+
+  if (targetDays === currentDays || (targetDays > currentDays && !allowEscalate)) {
+    return null;
+  }
+
+  const escalating = targetDays > currentDays;
+  const policy = await resolveStepLock(ladder, targetDays, shop);
+  const user = await User.findById(plan.user).select('name phone');
+
+  let lockedDevices;
+  if (escalating && policy !== undefined) {
+    const devices = await Device.find({ user: plan.user, isActive: true }).populate('user shop');
+    lockedDevices = await escalateDevices(io, devices, policy, plan, shop);
+  } else {
+    lockedDevices = await relaxDevices(io, plan, policy, shop);
+  }
+
+  let sms;
+  if (escalating && target.action === 'sms_reminder' && user) {
+    sms = shop.settings.notificationEnabled
+      ? await sendSms(user.phone, reminderText(target, user, shop, overdueDays))
+      : { sent: false, error: 'Notifications disabled for this shop' };
+  }
+
+  await saveEscalationState(plan, {
+    days: targetDays,
+    action: target ? target.action : undefined,
+    escalatedAt: new Date(),
+    lockedDevices
+  });
+  await shop.updateStatistics();
+
+  const level = policy === undefined ? null : levelOf(policy);
+  await recordActivity({
+    user: plan.user,
+    shop: shop._id,
+    action: escalating ? 'emi_escalated' : 'emi_escalation_rolled_back',
+    description: escalating
+      ? `EMI escalation for ${user ? user.name : plan.user}: day ${targetDays} step (${target.action === 'lock' ? `${level} lock` : 'SMS reminder'}), ${overdueDays} day(s) overdue`
+      : `EMI escalation for ${user ? user.name : plan.user} stepped back to ${targetDays > 0 ? `day ${targetDays}` : 'none'} after payment`,
+    performedBy: shop.owner,
+    metadata: {
+      source: 'escalation',
+      plan: plan._id,
+      overdueDays,
+      fromDays: currentDays,
+      toDays: targetDays,
+      step: target ? target.action : null,
+      policy: policy ? policy._id : undefined,
+      level,
+      lockedDevices,
+      sms
+    }
+  });
+
+  return { plan, overdueDays, fromDays: currentDays, toDays: targetDays, lockedDevices };
+};
+
+// Daily pass over every plan of a shop that is overdue or still escalated
+const runShopEscalation = async (io, shop) => {
+  const now = new Date();
+  const plans = await EmiPlan.find({
+    shop: shop._id,
+    $or: [
+      {
+        status: { $in: ['active', 'defaulted'] },
+        installments: { $elemMatch: { dueDate: { $lt: now }, status: { $ne: 'paid' } } }
+      },
+      { 'escalation.days': { $gt: 0 } }
+    ]
+  });
+
+  const summary = { escalated: 0, rolledBack: 0 };
+  for (const plan of plans) {
+    try {
+      const change = await evaluatePlanEscalation(io, plan, shop);
+      if (change) {
+        summary[change.toDays > change.fromDays ? 'escalated' : 'rolledBack']++;
+      }
+    } catch (error) {
+      console.error(`Escalation failed for plan ${plan._id}:`, error.message);
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  getOverdueDays,
+  evaluatePlanEscalation,
+  runShopEscalation
+};
@@ -0,0 +1,164 @@
+// Server-originated real-time events. Every event is delivered to the owning
+// shop's room and the superadmin room, and to the customer's own room when it
+// concerns a single customer. In-process listeners (outbound webhooks) receive
+// every event as well.
+const EVENTS = {
+  DEVICE_STATUS_CHANGED: 'device-status-changed',
+  DEVICE_LOCKED: 'device-locked',
+  DEVICE_UNLOCKED: 'device-unlocked',
+  DEVICE_REGISTERED: 'device-registered',
+  BULK_OPERATION_COMPLETED: 'bulk-operation-completed',
+  USER_CREATED: 'user-created',
+  PAYMENT_RECORDED: 'payment-recorded',
+  PAYMENT_VOIDED: 'payment-voided',
+  APPROVAL_REQUESTED: 'approval-requested',
+  APPROVAL_DECIDED: 'approval-decided',
+  GEOFENCE_EXITED: 'geofence-exited',
+  GEOFENCE_ENTERED: 'geofence-entered'
+};
+
+const listeners = [];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+// Rooms an event is delivered to, customers only seeing their own events
+const resolveRooms = ({ shopId, userId }) => {
+  const rooms = ['superadmin'];
+
+  if (shopId) {
+    rooms.push(`shop-${shopId}`);
+  }
+
+  if (userId) {
+    rooms.push(`user-${userId}`);
+  }
+
+  return rooms;
+};
+
+// Register an in-process listener, called with every published event
+const onEvent = (listener) => {
+  listeners.push(listener);
+};
+
+const publishEvent = (io, type, data = {}, { shop, user } = {}) => {
+  const shopId = idOf(shop);
+  const userId = idOf(user);
+  const event = {
+    type,
+    ...data,
+    shopId,
+    timestamp: new Date()
+  };
+
+  if (io) {
+    io.to(resolveRooms({ shopId, userId })).emit(type, event);
+  }
+
+  // Listeners must never hold up or break the request that published the event
+  listeners.forEach(listener => {
+    Promise.resolve()
+      .then(() => listener(event))
+      .catch(error => {
+        console.error(`Event listener error (${type}):`, error);
+      });
+  });
+};
+
+// Summary of a device for event payloads
+const deviceSummary = (device) => ({
+  deviceId: device._id,
+  deviceName: device.deviceId,
+  userId: idOf(device.user),
+  lockStatus: {
+    isLocked: device.lockStatus.isLocked,
+    lockReason: device.lockStatus.isLocked ? device.lockStatus.lockReason : undefined,
+    level: device.lockStatus.isLocked ? device.lockStatus.level : undefined,
+    lockedAt: device.lockStatus.lockedAt,
+    unlockedAt: device.lockStatus.unlockedAt,
+    syncStatus: device.lockStatus.syncStatus
+  }
+});
+
+const publishDeviceLockChange = (io, device, performedBy) => {
+  const type = device.lockStatus.isLocked ? EVENTS.DEVICE_LOCKED : EVENTS.DEVICE_UNLOCKED;
+
+  publishEvent(io, type, { ...deviceSummary(device), performedBy }, {
+    shop: device.shop,
+    user: device.user
+  });
+};
+
+const publishDeviceRegistered = (io, device) => {
+  publishEvent(io, EVENTS.DEVICE_REGISTERED, {
+    ...deviceSummary(device),
+    imeiNumber: device.imeiNumber,
+    deviceInfo: {
+      brand: device.deviceInfo.brand,
+      model: device.deviceInfo.model
+    }
+  }, { shop: device.shop, user: device.user });
+};
+
+const publishUserCreated = (io, user) => {
+  publishEvent(io, EVENTS.USER_CREATED, {
+    user: {
+      _id: user._id,
+      name: user.name,
+      phone: user.phone,
+      role: user.role,
+      createdAt: user.createdAt
+    }
+  }, { shop: user.shop });
+};
+
+const publishPaymentEvent = (io, type, payment, plan) => {
+  publishEvent(io, type, {
+    paymentId: payment._id,
+    userId: idOf(payment.user),
+    receiptNumber: payment.receiptNumber,
+    amount: payment.amount,
+    method: payment.method,
+    status: payment.status,
+    plan: {
+      _id: plan._id,
+      status: plan.status,
+      paidAmount: plan.paidAmount,
+      remainingAmount: plan.remainingAmount
+    }
+  }, { shop: payment.shop, user: payment.user });
+};
+
+// Approval requests are announced to the shop so a second user can act
+const publishApprovalEvent = (io, type, approval) => {
+  publishEvent(io, type, {
+    approvalId: approval._id,
+    operation: approval.operation,
+    status: approval.status,
+    deviceCount: approval.devices.length,
+    requestedBy: idOf(approval.requestedBy),
+    decidedBy: idOf(approval.decidedBy),
+    expiresAt: approval.expiresAt
+  }, { shop: approval.shop });
+};
+
+// Geofence alerts go to the shop only, not the customer
+const publishGeofenceEvent = (io, type, device, location, geofences) => {
+  publishEvent(io, type, {
+    ...deviceSummary(device),
+    location,
+    geofences: geofences.map(fence => ({ _id: fence._id, name: fence.name }))
+  }, { shop: device.shop });
+};
+
+module.exports = {
+  EVENTS,
+  onEvent,
+  publishEvent,
+  publishDeviceLockChange,
+  publishDeviceRegistered,
+  publishUserCreated,
+  publishPaymentEvent,
+  publishApprovalEvent,
+  publishGeofenceEvent
+};
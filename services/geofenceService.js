@@ -0,0 +1,131 @@
+const Device = require('../models/Device');
+const Geofence = require('../models/Geofence');
+const LockPolicy = require('../models/LockPolicy');
+const { applyLock } = require('./deviceLockService');
+const { EVENTS, publishGeofenceEvent } = require('./eventBus');
+const { recordActivity } = require('./auditService');
+
+// Errors carrying an HTTP status for the controller to relay
+const geofenceError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const LEVEL_RANK = { reminder: 1, restricted: 2, full: 3 };
+
+const rankOf = (policy) => LEVEL_RANK[policy ? policy.level : 'full'];
+
+// Replace the geofences a device must stay within. Its status is reset so the
+// next reported location is checked afresh against the new set.
+const assignDeviceGeofences = async ({ deviceId, geofenceIds, user, req }) => {
+  const filter = { _id: deviceId };
+  if (user.isShopMember()) {
+    filter.shop = user.shop._id;
+  }
+
+  const device = await Device.findOne(filter);
+  if (!device) {
+    throw geofenceError('Device not found', 404);
+  }
+
+  const ids = [...new Set(geofenceIds.map(String))];
+  const geofences = await Geofence.find({ _id: { $in: ids }, shop: device.shop });
+  if (geofences.length !== ids.length) {
+    throw geofenceError('Geofence not found', 404);
+  }
+
+  device.geofences = ids;
+  device.geofenceStatus = { isOutside: false, changedAt: new Date() };
+  await device.save();
+
+  await recordActivity({
+    user: device.user,
+    shop: device.shop,
+    device: device._id,
+    action: 'device_geofences_assigned',
+    description: geofences.length > 0
+      ? `Geofences assigned to ${device.deviceId}: ${geofences.map(fence => fence.name).join(', ')}`
+      : `Geofences removed from ${device.deviceId}`,
+    performedBy: user._id,
+    req,
+    metadata: { geofences: ids }
+  });
+
+  return { device, geofences };
+};
+
+// Lock a device that left its area, under the strictest policy among the
+// geofences set to lock on exit. A device that is already locked is left as
+// is. Returns the lock applied, or null.
+const lockOnExit = async (io, device, geofences) => {
+  const lockingFences = geofences.filter(fence => fence.lockOnExit);
+  if (lockingFences.length === 0 || device.lockStatus.isLocked) {
+    return null;
+  }
+
+  // A deleted policy falls back to the built-in full lock
+  const policies = await Promise.all(lockingFences.map(fence => (
+    fence.lockPolicy ? LockPolicy.findOne({ _id: fence.lockPolicy, shop: device.shop._id }) : null
+  )));
+  const policy = policies.reduce((strictest, candidate) => (
+    rankOf(candidate) > rankOf(strictest) ? candidate : strictest
+  ));
+
+  await applyLock(io, device, { reason: 'suspicious_activity', policy, performedBy: device.shop.owner });
+  return { policy };
+};
+
+// Check a device's newest location against its geofences. Alerts and locks on
+// the move from inside to outside; a move back in is only recorded.
+const checkDeviceGeofences = async (io, device, { latitude, longitude, recordedAt }) => {
+  if (device.geofences.length === 0) {
+    return null;
+  }
+
+  const geofences = await Geofence.find({
+    _id: { $in: device.geofences },
+    shop: device.shop._id || device.shop,
+    isActive: true
+  });
+  if (geofences.length === 0) {
+    return null;
+  }
+
+  const isOutside = !geofences.some(fence => fence.contains(latitude, longitude));
+  if (isOutside === device.geofenceStatus.isOutside) {
+    return null;
+  }
+
+  device.geofenceStatus = { isOutside, changedAt: recordedAt };
+  await device.save();
+  await device.populate('user shop');
+
+  const location = { latitude, longitude, recordedAt };
+  const fenceNames = geofences.map(fence => fence.name).join(', ');
+  const lock = isOutside ? await lockOnExit(io, device, geofences) : null;
+  const locked = lock !== null;
+
+  await recordActivity({
+    user: device.user._id,
+    shop: device.shop._id,
+    device: device._id,
+    action: isOutside ? 'security_alert' : 'geofence_reentered',
+    description: isOutside
+      ? `Device ${device.deviceId} left its geofence (${fenceNames})${locked ? ' and was locked' : ''}`
+      : `Device ${device.deviceId} returned inside its geofence (${fenceNames})`,
+    performedBy: device.user._id,
+    metadata: {
+      source: 'geofence',
+      location,
+      geofences: geofences.map(fence => fence._id),
+      locked,
+      policy: lock && lock.policy ? lock.policy._id : undefined
+    }
+  });
+
+  publishGeofenceEvent(io, isOutside ? EVENTS.GEOFENCE_EXITED : EVENTS.GEOFENCE_ENTERED, device, location, geofences);
+
+  return { isOutside, locked };
+};
+
+module.exports = {
+  assignDeviceGeofences,
+  checkDeviceGeofences
+};
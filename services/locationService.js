@@ -0,0 +1,116 @@
+const Device = require('../models/Device');
+const DeviceLocation = require('../models/DeviceLocation');
+const { checkDeviceGeofences } = require('./geofenceService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Handset clocks drift; fixes further ahead of the server than this are dropped
+const MAX_CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+const MAX_TRACK_RANGE_DAYS = 31;
+const DEFAULT_TRACK_LIMIT = 1000;
+
+// Errors carrying an HTTP status for the controller to relay
+const locationError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Store a batch of fixes from the locker app and move the device's last known
+// location forward, checking it against the device's geofences. Fixes from the
+// future or past the retention window are dropped rather than failing the
+// batch, so the agent can clear its queue.
+const recordDeviceLocations = async (io, device, fixes) => {
+  const now = Date.now();
+  const oldest = now - DeviceLocation.RETENTION_SECONDS * 1000;
+
+  const accepted = fixes
+    .map(fix => ({ ...fix, recordedAt: fix.recordedAt ? new Date(fix.recordedAt) : new Date(now) }))
+    .filter(fix => fix.recordedAt.getTime() <= now + MAX_CLOCK_SKEW_MS && fix.recordedAt.getTime() > oldest)
+    .sort((a, b) => a.recordedAt - b.recordedAt);
+
+  if (accepted.length === 0) {
+    return { locations: [], rejected: fixes.length, updated: false };
+  }
+
+  const locations = await DeviceLocation.insertMany(accepted.map(fix => ({
+    device: device._id,
+    shop: device.shop._id || device.shop,
+    location: { type: 'Point', coordinates: [fix.longitude, fix.latitude] },
+    accuracy: fix.accuracy,
+    altitude: fix.altitude,
+    speed: fix.speed,
+    provider: fix.provider,
+    recordedAt: fix.recordedAt
+  })));
+
+  const newest = accepted[accepted.length - 1];
+  const updated = device.setLastKnownLocation(newest);
+  let geofence = null;
+  if (updated) {
+    await device.save();
+    // The fixes are stored; failing now would make the agent resend them
+    try {
+      geofence = await checkDeviceGeofences(io, device, newest);
+    } catch (error) {
+      console.error(`Geofence check failed for device ${device.deviceId}:`, error.message);
+    }
+  }
+
+  return { locations, rejected: fixes.length - accepted.length, updated, geofence };
+};
+
+const toTrackPoint = (entry) => ({
+  latitude: entry.location.coordinates[1],
+  longitude: entry.location.coordinates[0],
+  accuracy: entry.accuracy,
+  altitude: entry.altitude,
+  speed: entry.speed,
+  provider: entry.provider,
+  recordedAt: entry.recordedAt
+});
+
+// A device's track between two times, oldest fix first. Defaults to the last
+// 24 hours.
+const getDeviceTrack = async ({ user, deviceId, from, to, limit = DEFAULT_TRACK_LIMIT }) => {
+  const filter = { _id: deviceId };
+  if (user.isShopMember()) {
+    filter.shop = user.shop._id;
+  }
+
+  const device = await Device.findOne(filter).select('deviceId shop deviceInfo.lastKnownLocation');
+  if (!device) {
+    throw locationError('Device not found', 404);
+  }
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DAY);
+  if (start >= end) {
+    throw locationError('Start of the range must be before its end');
+  }
+  if (end - start > MAX_TRACK_RANGE_DAYS * DAY) {
+    throw locationError(`Range cannot exceed ${MAX_TRACK_RANGE_DAYS} days`);
+  }
+
+  // One extra fix tells us whether the range was cut short
+  const entries = await DeviceLocation.find({
+    device: device._id,
+    recordedAt: { $gte: start, $lte: end }
+  })
+    .sort({ recordedAt: 1 })
+    .limit(limit + 1)
+    .lean();
+
+  const truncated = entries.length > limit;
+
+  return {
+    device,
+    from: start,
+    to: end,
+    points: entries.slice(0, limit).map(toTrackPoint),
+    truncated
+  };
+};
+
+module.exports = {
+  recordDeviceLocations,
+  getDeviceTrack
+};
@@ -0,0 +1,80 @@
+const LockPolicy = require('../models/LockPolicy');
+const Shop = require('../models/Shop');
+
+// Errors carrying an HTTP status for the controller to relay
+const policyError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const DEFAULT_MESSAGES = {
+  reminder: 'Your EMI payment is due. Please pay soon to keep using this device without restrictions.',
+  restricted: 'This device is restricted because of a pending EMI payment. Calls and payment apps remain available.',
+  full: 'This device is locked because of a pending EMI payment. Please contact the shop.'
+};
+
+// Find a policy belonging to the shop
+const findShopPolicy = async (shopId, policyId) => {
+  const policy = await LockPolicy.findOne({ _id: policyId, shop: shopId });
+  if (!policy) {
+    throw policyError('Lock policy not found', 404);
+  }
+  return policy;
+};
+
+// Find a policy the user may apply: their own shop's, or any for the superadmin
+const findPolicyForUser = async (user, policyId) => {
+  const filter = { _id: policyId };
+  if (user.isShopMember()) {
+    filter.shop = user.shop._id;
+  }
+
+  const policy = await LockPolicy.findOne(filter);
+  if (!policy) {
+    throw policyError('Lock policy not found', 404);
+  }
+  return policy;
+};
+
+// The named policy, or else the shop's default. Null means the built-in
+// full lock.
+const resolveLockPolicy = async (shopId, policyId) => {
+  if (policyId) {
+    return findShopPolicy(shopId, policyId);
+  }
+  return LockPolicy.findOne({ shop: shopId, isDefault: true });
+};
+
+// What the handset needs to enforce a lock
+const describeLockPolicy = (policy, shop) => {
+  const level = policy ? policy.level : 'full';
+  const allowedApps = policy && policy.allowedApps.length > 0 ? policy.allowedApps : LockPolicy.DEFAULT_ALLOWED_APPS;
+
+  return {
+    policyId: policy ? policy._id : null,
+    name: policy ? policy.name : 'Full lock',
+    level,
+    message: (policy && policy.message) || DEFAULT_MESSAGES[level],
+    contactPhone: (policy && policy.contactPhone) || shop.contactInfo.phone,
+    shopName: shop.name,
+    allowedApps: level === 'restricted' ? allowedApps : []
+  };
+};
+
+// Current policy of a locked device, for check-in. Falls back to the built-in
+// full lock if the device's policy is gone.
+const getDeviceLockPolicy = async (device) => {
+  const shop = device.shop && device.shop.contactInfo
+    ? device.shop
+    : await Shop.findById(device.shop).select('name contactInfo');
+  const policy = device.lockStatus.policy
+    ? await LockPolicy.findOne({ _id: device.lockStatus.policy, shop: shop._id })
+    : null;
+
+  return describeLockPolicy(policy, shop);
+};
+
+module.exports = {
+  findShopPolicy,
+  findPolicyForUser,
+  resolveLockPolicy,
+  describeLockPolicy,
+  getDeviceLockPolicy
+};
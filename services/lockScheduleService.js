@@ -0,0 +1,317 @@
+const Device = require('../models/Device');
+const EmiPlan = require('../models/EmiPlan');
+const LockPolicy = require('../models/LockPolicy');
+const { applyLock, applyUnlock, isAlreadyLocked } = require('./deviceLockService');
+const { findShopPolicy } = require('./lockPolicyService');
+const { hasArrears } = require('./emiDefaultService');
+const { recordActivity } = require('./auditService');
+
+const HOUR = 60 * 60 * 1000;
+
+// Keeps the embedded schedule small; executed and cancelled entries stay as history
+const MAX_PENDING_ACTIONS = 10;
+
+// Errors carrying an HTTP status for the controller to relay
+const scheduleError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const ACTION_PERMISSIONS = {
+  lock: 'lock_devices',
+  unlock: 'unlock_devices'
+};
+
+// Find a device the user may manage, populated with user and shop
+const findManagedDevice = async (user, deviceId) => {
+  const filter = { _id: deviceId };
+  if (user.isShopMember()) {
+    filter.shop = user.shop._id;
+  }
+
+  const device = await Device.findOne(filter).populate('user shop');
+  if (!device) {
+    throw scheduleError('Device not found', 404);
+  }
+  return device;
+};
+
+// Scheduling must not become a way around the shop's permissions or its
+// maker-checker settings
+const assertCanRun = (user, device, action) => {
+  if (!user.hasPermission(ACTION_PERMISSIONS[action])) {
+    throw scheduleError('Access denied. Insufficient permissions.', 403);
+  }
+  if (device.shop.requiresApproval(action)) {
+    throw scheduleError(`This shop requires approval to ${action} devices; submit a ${action} request instead`, 409);
+  }
+};
+
+const logScheduleActivity = (device, action, description, { performedBy, req, item, metadata = {} }) => {
+  return recordActivity({
+    user: device.user._id,
+    shop: device.shop._id,
+    device: device._id,
+    action,
+    description,
+    performedBy,
+    req,
+    metadata: {
+      scheduledAction: item._id,
+      lockAction: item.action,
+      runAt: item.runAt,
+      condition: item.condition,
+      ...metadata
+    }
+  });
+};
+
+// Whether the device's customer has an overdue installment on their current plan
+const customerHasArrears = async (device) => {
+  const plan = await EmiPlan.findOne({ user: device.user._id, status: { $in: ['active', 'defaulted'] } });
+  return Boolean(plan && hasArrears(plan));
+};
+
+const addScheduledAction = (device, fields) => {
+  const pending = device.lockStatus.scheduledActions.filter(item => item.status === 'pending');
+  if (pending.length >= MAX_PENDING_ACTIONS) {
+    throw scheduleError(`A device can have at most ${MAX_PENDING_ACTIONS} pending scheduled actions`, 409);
+  }
+
+  device.lockStatus.scheduledActions.push(fields);
+  return device.lockStatus.scheduledActions[device.lockStatus.scheduledActions.length - 1];
+};
+
+// Schedule a lock or unlock for a future time
+const scheduleLockAction = async ({ deviceId, action, runAt, reason = 'emi_default', policyId, condition = 'always', note, user, req }) => {
+  const device = await findManagedDevice(user, deviceId);
+  assertCanRun(user, device, action);
+
+  const policy = action === 'lock' && policyId ? await findShopPolicy(device.shop._id, policyId) : null;
+
+  const when = new Date(runAt);
+  if (when <= new Date()) {
+    throw scheduleError('Scheduled time must be in the future');
+  }
+
+  const item = addScheduledAction(device, {
+    action,
+    runAt: when,
+    reason: action === 'lock' ? reason : undefined,
+    policy: policy ? policy._id : undefined,
+    condition,
+    note,
+    createdBy: user._id
+  });
+  await device.save();
+
+  await logScheduleActivity(device, 'lock_action_scheduled',
+    `Scheduled ${action} for ${device.deviceId} at ${when.toISOString()}${condition === 'if_unpaid' ? ' if still unpaid' : ''}`,
+    { performedBy: user._id, req, item, metadata: { reason: item.reason, note } });
+
+  return { device, action: item };
+};
+
+// Unlock a locked device now and schedule the relock for when the window ends.
+// The relock is skipped at that time if the condition no longer holds.
+const grantTemporaryUnlock = async ({ io, deviceId, hours, condition, note, user, req }) => {
+  const device = await findManagedDevice(user, deviceId);
+  assertCanRun(user, device, 'unlock');
+
+  if (!device.lockStatus.isLocked) {
+    throw scheduleError('Device is not locked');
+  }
+
+  // A device locked for non-payment stays unlocked if the customer catches up
+  const reason = device.lockStatus.lockReason;
+  const relockCondition = condition || (reason === 'emi_default' ? 'if_unpaid' : 'always');
+  const until = new Date(Date.now() + hours * HOUR);
+
+  await applyUnlock(io, device, { performedBy: user._id });
+
+  const item = addScheduledAction(device, {
+    action: 'lock',
+    runAt: until,
+    reason,
+    // Relock under the policy the device was locked with
+    policy: device.lockStatus.policy,
+    condition: relockCondition,
+    relock: true,
+    note,
+    createdBy: user._id
+  });
+  device.lockStatus.unlockedUntil = until;
+  await device.save();
+
+  await logScheduleActivity(device, 'temporary_unlock_granted',
+    `Device temporarily unlocked: ${device.deviceId} until ${until.toISOString()}`,
+    { performedBy: user._id, req, item, metadata: { hours, reason, note } });
+
+  return { device, action: item };
+};
+
+const cancelAction = async (device, item, user, req) => {
+  if (item.status !== 'pending') {
+    throw scheduleError(`Scheduled action is already ${item.status}`, 409);
+  }
+
+  item.status = 'cancelled';
+  item.cancelledBy = user._id;
+  item.cancelledAt = new Date();
+  if (item.relock) {
+    device.lockStatus.unlockedUntil = undefined;
+  }
+  await device.save();
+
+  await logScheduleActivity(device, 'lock_action_cancelled',
+    item.relock
+      ? `Relock cancelled for ${device.deviceId}; device stays unlocked`
+      : `Scheduled ${item.action} cancelled for ${device.deviceId}`,
+    { performedBy: user._id, req, item });
+
+  return { device, action: item };
+};
+
+const cancelLockAction = async ({ deviceId, actionId, user, req }) => {
+  const device = await findManagedDevice(user, deviceId);
+
+  const item = device.findScheduledAction(actionId);
+  if (!item) {
+    throw scheduleError('Scheduled action not found', 404);
+  }
+
+  // Dropping a relock leaves the device unlocked, so it needs the unlock permission
+  const permission = ACTION_PERMISSIONS[item.relock ? 'unlock' : item.action];
+  if (!user.hasPermission(permission)) {
+    throw scheduleError('Access denied. Insufficient permissions.', 403);
+  }
+
+  return cancelAction(device, item, user, req);
+};
+
+// Cancel the relock that ends a temporary unlock, leaving the device unlocked
+const cancelTemporaryUnlock = async ({ deviceId, user, req }) => {
+  const device = await findManagedDevice(user, deviceId);
+
+  const item = device.lockStatus.scheduledActions.find(entry => entry.relock && entry.status === 'pending');
+  if (!item) {
+    throw scheduleError('Device has no active temporary unlock', 404);
+  }
+
+  if (!user.hasPermission('unlock_devices')) {
+    throw scheduleError('Access denied. Insufficient permissions.', 403);
+  }
+
+  return cancelAction(device, item, user, req);
+};
+
+// Why a due action should not run, or null if it should
+const getSkipReason = async (device, item, policy) => {
+  const locking = item.action === 'lock';
+
+  if (locking ? isAlreadyLocked(device, policy) : !device.lockStatus.isLocked) {
+    return locking ? 'Already locked' : 'Not locked';
+  }
+  if (!device.isActive) {
+    return 'Device is inactive';
+  }
+  if (device.shop.requiresApproval(item.action) && !item.relock) {
+    return `Shop now requires approval to ${item.action} devices`;
+  }
+  if (item.condition === 'if_unpaid' && !(await customerHasArrears(device))) {
+    return 'No overdue installments';
+  }
+  return null;
+};
+
+// Run one due action. Scheduled actions run on behalf of whoever scheduled
+// them; the shop owner stands in if that account is gone.
+const executeScheduledAction = async (io, device, item) => {
+  const performedBy = item.createdBy || device.shop.owner;
+  const metadata = { source: 'lock_schedule_job' };
+
+  // A relock without a policy restores the built-in full lock; other locks
+  // without one, or whose policy was deleted, get the shop default
+  let policy = item.relock ? null : undefined;
+  if (item.policy) {
+    policy = (await LockPolicy.findOne({ _id: item.policy, shop: device.shop._id })) || undefined;
+  }
+
+  const skipReason = await getSkipReason(device, item, policy);
+  if (skipReason) {
+    item.status = 'skipped';
+    item.outcome = skipReason;
+    if (item.relock) {
+      device.lockStatus.unlockedUntil = undefined;
+    }
+    await device.save();
+
+    await logScheduleActivity(device, 'lock_action_skipped',
+      `Scheduled ${item.action} skipped for ${device.deviceId}: ${skipReason}`,
+      { performedBy, item, metadata });
+    return 'skipped';
+  }
+
+  // Marked before running so the lock does not cancel its own relock entry
+  item.status = 'executed';
+  item.executedAt = new Date();
+
+  try {
+    if (item.action === 'lock') {
+      await applyLock(io, device, { reason: item.reason, policy, performedBy });
+    } else {
+      await applyUnlock(io, device, { performedBy });
+    }
+  } catch (error) {
+    item.status = 'failed';
+    item.outcome = error.message;
+    await device.save();
+
+    await logScheduleActivity(device, 'lock_action_failed',
+      `Scheduled ${item.action} failed for ${device.deviceId}: ${error.message}`,
+      { performedBy, item, metadata });
+    return 'failed';
+  }
+
+  await recordActivity({
+    user: device.user._id,
+    shop: device.shop._id,
+    device: device._id,
+    action: item.action === 'lock' ? 'device_locked' : 'device_unlocked',
+    description: item.relock
+      ? `Device relocked after temporary unlock: ${device.deviceId} (Reason: ${item.reason})`
+      : `Scheduled ${item.action} executed: ${device.deviceId}`,
+    performedBy,
+    metadata: { ...metadata, scheduledAction: item._id }
+  });
+
+  return 'executed';
+};
+
+// Run every pending action whose time has come
+const runDueLockActions = async (io) => {
+  const now = new Date();
+  const devices = await Device.find({
+    'lockStatus.scheduledActions': { $elemMatch: { status: 'pending', runAt: { $lte: now } } }
+  }).populate('user shop');
+
+  const summary = { executed: 0, skipped: 0, failed: 0 };
+
+  for (const device of devices) {
+    for (const item of device.getDueScheduledActions(now)) {
+      try {
+        summary[await executeScheduledAction(io, device, item)]++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`Scheduled action ${item._id} on device ${device.deviceId} failed:`, error.message);
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  scheduleLockAction,
+  grantTemporaryUnlock,
+  cancelLockAction,
+  cancelTemporaryUnlock,
+  runDueLockActions
+};
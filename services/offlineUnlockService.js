@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const Device = require('../models/Device');
+const OfflineUnlockCode = require('../models/OfflineUnlockCode');
+const Payment = require('../models/Payment');
+const { applyUnlock } = require('./deviceLockService');
+const { recordActivity } = require('./auditService');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Offline unlock codes are HOTP-style (RFC 4226 dynamic truncation over
+// HMAC-SHA256). The message is the 8-byte counter followed by the 8-byte
+// time step, so a code is bound to one counter and one issue hour. The
+// handset holds the same per-device key and accepts a code if it matches a
+// counter above the last one it accepted (within COUNTER_LOOKAHEAD) and a
+// step no older than VALIDITY_STEPS, allowing one step of clock skew.
+const CODE_DIGITS = 8;
+const STEP_SECONDS = 3600;
+const COUNTER_LOOKAHEAD = 10;
+const VALIDITY_HOURS = parseInt(process.env.OFFLINE_UNLOCK_CODE_VALIDITY_HOURS) || 24;
+const VALIDITY_STEPS = Math.ceil(VALIDITY_HOURS * 3600 / STEP_SECONDS);
+
+// Codes a device can be issued per rolling 24 hours
+const DAILY_LIMIT = parseInt(process.env.OFFLINE_UNLOCK_DAILY_LIMIT) || 3;
+
+// Errors carrying an HTTP status for the controller to relay
+const offlineUnlockError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Per-device key, derived from the server secret so it is never stored. It
+// changes with the credentials version, so rotating or revoking credentials
+// invalidates outstanding codes.
+const getOfflineKey = (device) => {
+  const secret = process.env.OFFLINE_UNLOCK_SECRET || process.env.JWT_SECRET;
+  return crypto.createHmac('sha256', secret)
+    .update(`offline-unlock:${device._id}:${device.credentials.version}`)
+    .digest();
+};
+
+const computeCode = (key, counter, step) => {
+  const message = Buffer.alloc(16);
+  message.writeBigUInt64BE(BigInt(counter), 0);
+  message.writeBigUInt64BE(BigInt(step), 8);
+
+  const digest = crypto.createHmac('sha256', key).update(message).digest();
+  const offset = digest[digest.length - 1] & 0x0f;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+const currentStep = (at = Date.now()) => Math.floor(at / 1000 / STEP_SECONDS);
+
+// Key and parameters the locker app needs to verify codes offline
+const getOfflineUnlockParams = (device) => {
+  return {
+    key: getOfflineKey(device).toString('hex'),
+    keyVersion: device.credentials.version,
+    algorithm: 'HMAC-SHA256',
+    digits: CODE_DIGITS,
+    stepSeconds: STEP_SECONDS,
+    validitySteps: VALIDITY_STEPS,
+    counterLookahead: COUNTER_LOOKAHEAD
+  };
+};
+
+// Check a payment belongs to the device's customer before linking it
+const findLinkedPayment = async (device, paymentId) => {
+  const payment = await Payment.findOne({
+    _id: paymentId,
+    user: device.user._id,
+    shop: device.shop._id,
+    status: 'completed'
+  });
+  if (!payment) {
+    throw offlineUnlockError('Payment not found for this device\'s customer', 404);
+  }
+  return payment;
+};
+
+// Issue a one-time code that unlocks the handset without connectivity. The
+// device is unlocked on the server as well, so it stays unlocked when it
+// next checks in. Also usable when an unlock is still waiting to reach the
+// handset.
+const issueOfflineUnlockCode = async ({ io, deviceId, paymentId, note, user, req }) => {
+  const filter = { _id: deviceId };
+  if (user.isShopMember()) {
+    filter.shop = user.shop._id;
+  }
+
+  const device = await Device.findOne(filter).populate('user shop');
+  if (!device) {
+    throw offlineUnlockError('Device not found', 404);
+  }
+
+  if (device.credentials.revokedAt) {
+    throw offlineUnlockError('Device credentials are revoked; re-enroll the device first', 409);
+  }
+
+  if (device.shop.requiresApproval('unlock')) {
+    throw offlineUnlockError('This shop requires approval to unlock devices; submit an unlock request instead', 409);
+  }
+
+  const unlockPending = !device.lockStatus.isLocked && device.lockStatus.syncStatus !== 'executed';
+  if (!device.lockStatus.isLocked && !unlockPending) {
+    throw offlineUnlockError('Device is not locked');
+  }
+
+  const payment = paymentId ? await findLinkedPayment(device, paymentId) : null;
+
+  // Reserve the counter atomically so concurrent requests never share one.
+  // The update only matches while fewer than DAILY_LIMIT codes were issued
+  // in the last 24 hours, so concurrent requests cannot exceed the limit.
+  const now = new Date();
+  const reserved = await Device.findOneAndUpdate(
+    {
+      _id: device._id,
+      $or: [
+        { [`credentials.offlineIssuedAt.${DAILY_LIMIT - 1}`]: { $exists: false } },
+        { 'credentials.offlineIssuedAt.0': { $lt: new Date(now.getTime() - DAY) } }
+      ]
+    },
+    {
+      $inc: { 'credentials.offlineCounter': 1 },
+      $push: { 'credentials.offlineIssuedAt': { $each: [now], $slice: -DAILY_LIMIT } }
+    },
+    { new: true }
+  ).select('credentials');
+  if (!reserved) {
+    throw offlineUnlockError(`At most ${DAILY_LIMIT} offline unlock codes can be issued per device per day`, 429);
+  }
+  const counter = reserved.credentials.offlineCounter;
+
+  const step = currentStep();
+  const code = computeCode(getOfflineKey(reserved), counter, step);
+  const expiresAt = new Date((step + VALIDITY_STEPS) * STEP_SECONDS * 1000);
+
+  if (device.lockStatus.isLocked) {
+    await applyUnlock(io, device, { performedBy: user._id });
+  }
+
+  const record = await OfflineUnlockCode.create({
+    device: device._id,
+    shop: device.shop._id,
+    counter,
+    codeHash: hashCode(code),
+    credentialVersion: reserved.credentials.version,
+    expiresAt,
+    payment: payment ? payment._id : undefined,
+    note,
+    issuedBy: user._id
+  });
+
+  await recordActivity({
+    user: device.user._id,
+    shop: device.shop._id,
+    device: device._id,
+    action: 'device_unlocked',
+    description: `Offline unlock code issued: ${device.deviceId}`,
+    performedBy: user._id,
+    req,
+    metadata: {
+      method: 'offline_code',
+      offlineUnlockCode: record._id,
+      counter,
+      expiresAt,
+      payment: payment ? payment._id : undefined,
+      receiptNumber: payment ? payment.receiptNumber : undefined
+    }
+  });
+
+  return { device, code, record };
+};
+
+// Mark codes the handset reports as used. Unknown or already redeemed
+// counters are ignored.
+const recordOfflineRedemptions = async (device, redemptions = []) => {
+  let recorded = 0;
+
+  for (const { counter, redeemedAt } of redemptions) {
+    const result = await OfflineUnlockCode.updateOne(
+      { device: device._id, counter, redeemedAt: null },
+      { $set: { redeemedAt: redeemedAt ? new Date(redeemedAt) : new Date() } }
+    );
+    recorded += result.modifiedCount;
+  }
+
+  return recorded;
+};
+
+module.exports = {
+  getOfflineUnlockParams,
+  issueOfflineUnlockCode,
+  recordOfflineRedemptions
+};
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Shop = require('../models/Shop');
+const GatewayEvent = require('../models/GatewayEvent');
+const Payment = require('../models/Payment');
+const { recordPayment } = require('./paymentService');
+
+// Errors carrying an HTTP status for the controller to relay
+const gatewayError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const PAYMENT_METHODS = ['upi', 'card', 'netbanking', 'wallet'];
+
+// An event still "processing" after this long was abandoned by a crash and
+// may be claimed again by the gateway's next delivery
+const PROCESSING_TIMEOUT_MINUTES = parseInt(process.env.GATEWAY_PROCESSING_TIMEOUT_MINUTES) || 10;
+
+const toPaymentMethod = (method) => (PAYMENT_METHODS.includes(method) ? method : 'other');
+
+// Constant-time comparison of a hex HMAC-SHA256 of the raw body
+const verifyHmac = (secret, rawBody, signature) => {
+  if (!secret) {
+    throw gatewayError('Payment gateway is not configured', 503);
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(rawBody || '').digest();
+  const actual = Buffer.from(String(signature || '').replace(/^sha256=/, ''), 'hex');
+
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw gatewayError('Invalid webhook signature', 401);
+  }
+};
+
+// Adapters turn a provider's webhook into a normalised transaction, or null
+// for events that do not represent a completed payment.
+const ADAPTERS = {
+  // Generic gateway: X-Signature is the HMAC of the raw body, amounts are in rupees
+  //   { transactionId, status: 'success', amount, method, userId | phone, paidAt }
+  hmac: {
+    verify: (req) => verifyHmac(process.env.PAYMENT_GATEWAY_HMAC_SECRET, req.rawBody, req.get('X-Signature')),
+    parse: (body) => {
+      if (body.status !== 'success') {
+        return null;
+      }
+
+      return {
+        transactionId: body.transactionId,
+        eventType: body.event || 'payment.success',
+        amount: parseFloat(body.amount),
+        method: body.method,
+        userId: body.userId,
+        phone: body.phone,
+        paidAt: body.paidAt ? new Date(body.paidAt) : new Date()
+      };
+    }
+  },
+
+  // Razorpay: X-Razorpay-Signature, amounts in paise, customer id in payment notes
+  razorpay: {
+    verify: (req) => verifyHmac(process.env.RAZORPAY_WEBHOOK_SECRET, req.rawBody, req.get('X-Razorpay-Signature')),
+    parse: (body) => {
+      const payment = body.payload?.payment?.entity;
+      if (!['payment.captured', 'payment_link.paid'].includes(body.event) || !payment || payment.status !== 'captured') {
+        return null;
+      }
+
+      return {
+        transactionId: payment.id,
+        eventType: body.event,
+        amount: payment.amount / 100,
+        method: payment.method,
+        userId: payment.notes?.userId,
+        phone: payment.contact,
+        paidAt: payment.created_at ? new Date(payment.created_at * 1000) : new Date()
+      };
+    }
+  }
+};
+
+// Match the payer by our user id, falling back to the phone number
+const findCustomer = async ({ userId, phone }) => {
+  if (userId && mongoose.Types.ObjectId.isValid(userId)) {
+    const user = await User.findOne({ _id: userId, role: 'user' });
+    if (user) {
+      return user;
+    }
+  }
+
+  if (phone) {
+    const digits = String(phone).replace(/\D/g, '');
+    const candidates = [...new Set([String(phone), digits, digits.slice(-10)])];
+    return User.findOne({ phone: { $in: candidates }, role: 'user' });
+  }
+
+  return null;
+};
+
+// Claim a transaction for processing. Returns null when it was already
+// processed (or is being processed) so redeliveries are no-ops. Failed
+// attempts and stale "processing" claims may be taken over.
+const claimTransaction = async (provider, transaction, payload) => {
+  try {
+    return await GatewayEvent.create({
+      provider,
+      transactionId: transaction.transactionId,
+      eventType: transaction.eventType,
+      amount: transaction.amount,
+      payload
+    });
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+
+  const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+  return GatewayEvent.findOneAndUpdate(
+    {
+      provider,
+      transactionId: transaction.transactionId,
+      $or: [
+        { status: 'failed' },
+        { status: 'processing', updatedAt: { $lt: staleBefore } }
+      ]
+    },
+    { $set: { status: 'processing', error: null, payload }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+const findRecordedPayment = (provider, transactionId) => {
+  return Payment.findOne({ 'gateway.provider': provider, 'gateway.transactionId': transactionId });
+};
+
+const markProcessed = (event, payment) => {
+  event.status = 'processed';
+  event.payment = payment._id;
+  event.user = event.user || payment.user;
+  event.shop = event.shop || payment.shop;
+  event.error = undefined;
+  event.processedAt = new Date();
+  return event.save();
+};
+
+// Verify, de-duplicate and record a gateway payment. Clearing the arrears
+// unlocks devices locked for emi_default (see recordPayment).
+const processGatewayWebhook = async ({ io, provider, req }) => {
+  const adapter = ADAPTERS[provider];
+  if (!adapter) {
+    throw gatewayError('Unknown payment gateway', 404);
+  }
+
+  adapter.verify(req);
+
+  const transaction = adapter.parse(req.body || {});
+  if (!transaction) {
+    return { status: 'ignored' };
+  }
+
+  if (!transaction.transactionId || !(transaction.amount > 0)) {
+    throw gatewayError('Transaction ID and a positive amount are required');
+  }
+
+  const event = await claimTransaction(provider, transaction, req.body);
+  if (!event) {
+    const existing = await GatewayEvent.findOne({ provider, transactionId: transaction.transactionId });
+    return { status: 'duplicate', event: existing };
+  }
+
+  // An earlier attempt may have stored the payment and failed afterwards;
+  // crediting the plan again would count the money twice
+  const recorded = await findRecordedPayment(provider, transaction.transactionId);
+  if (recorded) {
+    await markProcessed(event, recorded);
+    return { status: 'duplicate', event, payment: recorded };
+  }
+
+  try {
+    const user = await findCustomer(transaction);
+    if (!user) {
+      throw gatewayError('No customer matches this payment', 404);
+    }
+
+    const shop = await Shop.findById(user.shop);
+    if (!shop) {
+      throw gatewayError('Customer has no shop', 404);
+    }
+
+    event.user = user._id;
+    event.shop = shop._id;
+
+    const { payment, unlockedDevices } = await recordPayment({
+      io,
+      user,
+      amount: transaction.amount,
+      method: toPaymentMethod(transaction.method),
+      reference: transaction.transactionId,
+      notes: `Paid via ${provider}`,
+      paidAt: transaction.paidAt,
+      performedBy: shop.owner,
+      gateway: { provider, transactionId: transaction.transactionId },
+      // Money the gateway took is recorded even if it overshoots the balance
+      acceptExcess: true,
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    await markProcessed(event, payment);
+
+    return { status: 'processed', event, payment, unlockedDevices };
+  } catch (error) {
+    // Lost a race with a concurrent delivery that stored the payment first
+    const recordedMeanwhile = error.code === 11000 && await findRecordedPayment(provider, transaction.transactionId);
+    if (recordedMeanwhile) {
+      await markProcessed(event, recordedMeanwhile);
+      return { status: 'duplicate', event, payment: recordedMeanwhile };
+    }
+
+    event.status = 'failed';
+    event.error = error.message;
+    await event.save();
+    throw error;
+  }
+};
+
+module.exports = {
+  processGatewayWebhook
+};
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const EmiPlan = require('../models/EmiPlan');
+const Payment = require('../models/Payment');
+const Shop = require('../models/Shop');
+const { recordActivity } = require('./auditService');
+const { releaseClearedDefault } = require('./emiDefaultService');
+const { evaluatePlanEscalation } = require('./escalationService');
+const { EVENTS, publishPaymentEvent } = require('./eventBus');
+
+const MAX_SAVE_ATTEMPTS = 3;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Errors carrying an HTTP status for the controller to relay
+const paymentError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+// Retry a plan update when another payment or job saved the plan first
+const withPlanRetry = async (task) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await task();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError) || attempt >= MAX_SAVE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+// Spread an amount over unpaid installments, oldest due date first
+const allocateToInstallments = (plan, amount) => {
+  const allocations = [];
+  let remaining = roundCurrency(amount);
+
+  for (const installment of plan.getUnpaidInstallments()) {
+    if (remaining <= 0) {
+      break;
+    }
+
+    const outstanding = installment.getOutstanding();
+    const applied = Math.min(outstanding, remaining);
+    if (applied <= 0) {
+      continue;
+    }
+
+    installment.paidAmount = roundCurrency(installment.paidAmount + applied);
+    if (installment.paidAmount >= installment.getDue()) {
+      installment.paidAt = new Date();
+    }
+    remaining = roundCurrency(remaining - applied);
+
+    allocations.push({
+      installment: installment._id,
+      installmentNumber: installment.number,
+      amount: applied
+    });
+  }
+
+  return allocations;
+};
+
+const refreshShopStatistics = async (shopId) => {
+  const shop = await Shop.findById(shopId);
+  if (shop) {
+    await shop.updateStatistics();
+  }
+};
+
+// Follow-up work once a payment is stored. A failure here must not turn a
+// recorded payment into an error for the caller, so it is logged instead.
+const afterPayment = async (payment, label, task) => {
+  try {
+    return await task();
+  } catch (error) {
+    console.error(`Payment ${payment.receiptNumber}: ${label} failed:`, error.message);
+    return null;
+  }
+};
+
+// Record a payment against the customer's open EMI plan. Clearing the arrears
+// of a defaulted plan unlocks devices that were locked for emi_default.
+// Gateway payments have no recordedBy; performedBy then names who the logs
+// are attributed to. With acceptExcess, money above the outstanding balance
+// is kept on the payment as excessAmount instead of being refused.
+const recordPayment = async ({ io, user, amount, method, reference, notes, paidAt, recordedBy, performedBy = recordedBy, gateway, acceptExcess = false, ipAddress, userAgent }) => {
+  const paymentAmount = roundCurrency(parseFloat(amount));
+  if (!(paymentAmount > 0)) {
+    throw paymentError('Payment amount must be greater than zero');
+  }
+
+  // The payment is created before the plan is saved, so a duplicate gateway
+  // transaction is rejected before any installment is credited. It follows
+  // the plan through retries and is removed again if the plan cannot be saved.
+  let payment;
+  let allocations;
+  let excessAmount;
+  let plan;
+  try {
+    plan = await withPlanRetry(async () => {
+      const plan = await EmiPlan.findOne({ user: user._id, status: { $in: ['active', 'defaulted'] } })
+        .sort({ createdAt: -1 });
+
+      if (!plan) {
+        throw paymentError('Customer has no open EMI plan', 404);
+      }
+
+      if (paymentAmount > plan.remainingAmount && !acceptExcess) {
+        throw paymentError(`Payment exceeds outstanding balance of ${plan.remainingAmount}`);
+      }
+
+      allocations = allocateToInstallments(plan, paymentAmount);
+      const allocated = allocations.reduce((sum, allocation) => sum + allocation.amount, 0);
+      excessAmount = roundCurrency(paymentAmount - allocated) || undefined;
+
+      if (!payment) {
+        payment = await Payment.create({
+          user: user._id,
+          shop: plan.shop,
+          plan: plan._id,
+          amount: paymentAmount,
+          method,
+          reference,
+          notes,
+          paidAt: paidAt || new Date(),
+          receiptNumber: Payment.generateReceiptNumber(),
+          allocations,
+          excessAmount,
+          gateway,
+          recordedBy
+        });
+      } else {
+        payment.plan = plan._id;
+        payment.allocations = allocations;
+        payment.excessAmount = excessAmount;
+        await payment.save();
+      }
+
+      plan.refreshStatuses();
+      await plan.save();
+
+      return plan;
+    });
+  } catch (error) {
+    if (payment) {
+      await Payment.deleteOne({ _id: payment._id });
+    }
+    throw error;
+  }
+
+  await afterPayment(payment, 'customer sync', () => plan.syncUser());
+  await afterPayment(payment, 'shop statistics', () => refreshShopStatistics(plan.shop));
+
+  await afterPayment(payment, 'activity log', () => recordActivity({
+    user: user._id,
+    shop: plan.shop,
+    action: 'emi_payment',
+    description: `Payment of ${paymentAmount} (${method}) recorded for ${user.name}, receipt ${payment.receiptNumber}` +
+      (excessAmount ? `; ${excessAmount} above the outstanding balance` : ''),
+    performedBy,
+    ipAddress,
+    userAgent,
+    metadata: {
+      payment: payment._id,
+      receiptNumber: payment.receiptNumber,
+      amount: paymentAmount,
+      method,
+      allocations,
+      excessAmount,
+      ...(gateway && { source: 'payment_gateway', gateway })
+    }
+  }));
+
+  publishPaymentEvent(io, EVENTS.PAYMENT_RECORDED, payment, plan);
+
+  const release = await afterPayment(payment, 'default release', () => releaseClearedDefault(io, plan, performedBy));
+
+  // Step the escalation ladder back down to match what is still overdue; if
+  // this fails the escalation job rolls the plan back on its next run
+  if (plan.escalation?.days > 0) {
+    await afterPayment(payment, 'escalation rollback', async () => {
+      const shop = await Shop.findById(plan.shop);
+      await evaluatePlanEscalation(io, plan, shop, { allowEscalate: false });
+    });
+  }
+
+  return { payment, plan, unlockedDevices: release ? release.unlockedDevices : [] };
+};
+
+// Void a payment and reverse its installment allocations. The payment is
+// claimed first so two concurrent voids cannot both reverse the allocations;
+// the claim is undone if the plan cannot be updated.
+const voidPayment = async ({ io, payment: loaded, reason, voidedBy, ipAddress, userAgent }) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: loaded._id, status: 'completed' },
+    { $set: { status: 'voided', voidedAt: new Date(), voidedBy, voidReason: reason } },
+    { new: true }
+  );
+  if (!payment) {
+    throw paymentError('Payment is already voided');
+  }
+
+  let plan;
+  try {
+    plan = await withPlanRetry(async () => {
+      const plan = await EmiPlan.findById(payment.plan);
+      if (!plan) {
+        throw paymentError('EMI plan not found', 404);
+      }
+
+      payment.allocations.forEach(allocation => {
+        const installment = plan.installments.id(allocation.installment);
+        if (installment) {
+          installment.paidAmount = Math.max(0, roundCurrency(installment.paidAmount - allocation.amount));
+          if (installment.paidAmount < installment.getDue()) {
+            installment.paidAt = undefined;
+          }
+        }
+      });
+
+      if (plan.status === 'completed') {
+        plan.status = 'active';
+      }
+      plan.refreshStatuses();
+      await plan.save();
+
+      return plan;
+    });
+  } catch (error) {
+    await Payment.updateOne(
+      { _id: payment._id, status: 'voided' },
+      { $set: { status: 'completed' }, $unset: { voidedAt: 1, voidedBy: 1, voidReason: 1 } }
+    );
+    throw error;
+  }
+
+  await plan.syncUser();
+  await refreshShopStatistics(plan.shop);
+
+  await recordActivity({
+    user: payment.user,
+    shop: payment.shop,
+    action: 'payment_voided',
+    description: `Payment ${payment.receiptNumber} of ${payment.amount} voided: ${reason}`,
+    performedBy: voidedBy,
+    ipAddress,
+    userAgent,
+    metadata: {
+      payment: payment._id,
+      receiptNumber: payment.receiptNumber,
+      amount: payment.amount,
+      reason
+    }
+  });
+
+  publishPaymentEvent(io, EVENTS.PAYMENT_VOIDED, payment, plan);
+
+  return { payment, plan };
+};
+
+module.exports = {
+  withPlanRetry,
+  allocateToInstallments,
+  recordPayment,
+  voidPayment
+};
@@ -0,0 +1,211 @@
+const EmiPlan = require('../models/EmiPlan');
+const Payment = require('../models/Payment');
+const { recordActivity } = require('./auditService');
+const { releaseClearedDefault } = require('./emiDefaultService');
+const { withPlanRetry, allocateToInstallments } = require('./paymentService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Errors carrying an HTTP status for the controller to relay
+const penaltyError = (message, status = 400) => Object.assign(new Error(message), { status });
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+// Add today's penalties to one overdue installment under the shop's rules.
+// Flat fees are charged once per installment, daily fees once per day, and the
+// total never exceeds the per-installment cap.
+const accrueInstallmentPenalties = (installment, rules, gracePeriodDays, today) => {
+  const graceDays = rules.startAfterGracePeriod ? gracePeriodDays : 0;
+  const chargeableFrom = new Date(startOfDay(installment.dueDate).getTime() + (graceDays + 1) * DAY);
+
+  if (installment.getOutstanding() <= 0 || today < chargeableFrom) {
+    return [];
+  }
+
+  const added = [];
+  const addPenalty = (type, amount) => {
+    const capRemaining = rules.maxPenalty > 0
+      ? roundCurrency(rules.maxPenalty - installment.lateFee)
+      : Infinity;
+    const charged = roundCurrency(Math.min(amount, capRemaining));
+    if (charged <= 0) {
+      return;
+    }
+
+    installment.penalties.push({ type, amount: charged, accruedFor: today });
+    installment.recalculateLateFee();
+    added.push({ installmentNumber: installment.number, type, amount: charged });
+  };
+
+  if (rules.flatFee > 0 && !installment.penalties.some(item => item.type === 'flat_fee')) {
+    addPenalty('flat_fee', rules.flatFee);
+  }
+
+  const accruedToday = installment.penalties.some(item =>
+    item.type === 'daily' && startOfDay(item.accruedFor).getTime() === today.getTime()
+  );
+
+  if (rules.percentPerDay > 0 && !accruedToday) {
+    const unpaidPrincipal = Math.max(0, installment.amount - installment.paidAmount);
+    addPenalty('daily', unpaidPrincipal * rules.percentPerDay / 100);
+  }
+
+  return added;
+};
+
+// Apply today's late fees to every overdue installment of a plan
+const applyPlanPenalties = async (plan, shop, asOf = new Date()) => {
+  const rules = shop.settings.latePenalty;
+  if (!rules || !rules.enabled) {
+    return [];
+  }
+
+  const today = startOfDay(asOf);
+  const added = plan.installments.flatMap(installment =>
+    accrueInstallmentPenalties(installment, rules, shop.settings.gracePeriodDays || 0, today)
+  );
+
+  if (added.length === 0) {
+    return added;
+  }
+
+  plan.refreshStatuses(asOf);
+  await plan.save();
+  await plan.syncUser();
+
+  const total = roundCurrency(added.reduce((sum, item) => sum + item.amount, 0));
+
+  await recordActivity({
+    user: plan.user,
+    shop: shop._id,
+    action: 'penalty_applied',
+    description: `Late fees of ${total} applied to ${added.length} installment charge(s)`,
+    performedBy: shop.owner,
+    metadata: {
+      source: 'late_penalty_job',
+      plan: plan._id,
+      penalties: added
+    }
+  });
+
+  return added;
+};
+
+// Move money that paid a now-waived fee off its installment. The receipts
+// that paid it, newest first, have their allocation moved onto the next
+// unpaid installments, or kept as excess once nothing is left to pay, so
+// voiding a receipt still reverses exactly what it paid. Returns the changed
+// receipts; they are saved once the plan is.
+const reallocateWaivedAmount = async (plan, installment) => {
+  const due = installment.getDue();
+  let freed = roundCurrency(installment.paidAmount - due);
+  if (freed <= 0) {
+    return [];
+  }
+
+  installment.paidAmount = due;
+
+  const payments = await Payment.find({
+    plan: plan._id,
+    status: 'completed',
+    'allocations.installment': installment._id
+  }).sort({ createdAt: -1 });
+
+  const changed = [];
+  for (const payment of payments) {
+    if (freed <= 0) {
+      break;
+    }
+
+    const allocation = payment.allocations.find(item => item.installment.equals(installment._id));
+    const moved = roundCurrency(Math.min(allocation.amount, freed));
+    if (moved <= 0) {
+      continue;
+    }
+    allocation.amount = roundCurrency(allocation.amount - moved);
+    freed = roundCurrency(freed - moved);
+
+    const reallocated = allocateToInstallments(plan, moved);
+    const allocated = reallocated.reduce((sum, item) => sum + item.amount, 0);
+
+    payment.allocations = payment.allocations.filter(item => item.amount > 0).concat(reallocated);
+    payment.excessAmount = roundCurrency((payment.excessAmount || 0) + moved - allocated) || undefined;
+    changed.push(payment);
+  }
+
+  // Paid amounts no receipt accounts for stay where they were
+  installment.paidAmount = roundCurrency(due + freed);
+
+  return changed;
+};
+
+// Waive a penalty; clearing the last arrears releases an emi_default lock.
+// The plan is reloaded on every attempt so a concurrent payment or penalty
+// run is not overwritten.
+const waivePenalty = async ({ io, planId, penaltyId, reason, waivedBy, ipAddress, userAgent }) => {
+  let installment;
+  let penalty;
+  let payments;
+
+  const plan = await withPlanRetry(async () => {
+    const plan = await EmiPlan.findById(planId);
+    const match = plan && plan.findPenalty(penaltyId);
+    if (!match) {
+      throw penaltyError('Penalty not found', 404);
+    }
+
+    ({ installment, penalty } = match);
+    if (penalty.waived) {
+      throw penaltyError('Penalty is already waived');
+    }
+
+    penalty.waived = true;
+    penalty.waivedAt = new Date();
+    penalty.waivedBy = waivedBy;
+    penalty.waiveReason = reason;
+    installment.recalculateLateFee();
+
+    payments = await reallocateWaivedAmount(plan, installment);
+
+    plan.refreshStatuses();
+    await plan.save();
+
+    return plan;
+  });
+
+  await Promise.all(payments.map(payment => payment.save()));
+  await plan.syncUser();
+
+  await recordActivity({
+    user: plan.user,
+    shop: plan.shop,
+    action: 'penalty_waived',
+    description: `Late fee of ${penalty.amount} on installment ${installment.number} waived: ${reason}`,
+    performedBy: waivedBy,
+    ipAddress,
+    userAgent,
+    metadata: {
+      plan: plan._id,
+      penalty: penalty._id,
+      installmentNumber: installment.number,
+      amount: penalty.amount,
+      reallocatedPayments: payments.map(payment => payment._id),
+      reason
+    }
+  });
+
+  await releaseClearedDefault(io, plan, waivedBy);
+
+  return { plan, penalty };
+};
+
+module.exports = {
+  applyPlanPenalties,
+  waivePenalty
+};
@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+const Session = require('../models/Session');
+const { generateToken } = require('../middleware/auth');
+const { recordActivity } = require('./auditService');
+
+const DAY = 24 * 60 * 60 * 1000;
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+// Errors carrying an HTTP status for the controller to relay
+const sessionError = (message, status = 401) => Object.assign(new Error(message), { status });
+
+// Every user socket joins its session's room and its account's room, so
+// revoking sessions can also drop the connections opened with them
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+const accountRoom = (userId) => `account-${userId}`;
+
+// Disconnect the sockets of one revoked session, or of every session of a
+// user except the one being kept
+const disconnectSessions = (io, { sessionId, userId, exceptSessionId } = {}) => {
+  if (!io) {
+    return;
+  }
+
+  let sockets = sessionId ? io.in(sessionRoom(sessionId)) : io.in(accountRoom(userId));
+  if (exceptSessionId) {
+    sockets = sockets.except(sessionRoom(exceptSessionId));
+  }
+  sockets.disconnectSockets(true);
+};
+
+// Refresh tokens are "<sessionId>.<secret>" so the session can be found by id
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const tokenResponse = (session, refreshToken) => ({
+  token: generateToken(session.user, session._id),
+  refreshToken,
+  expiresIn: process.env.JWT_EXPIRE || '15m',
+  refreshExpiresAt: session.expiresAt
+});
+
+// Start a session and issue an access/refresh token pair
+const createSession = async (user, { platform = 'web', ipAddress, userAgent } = {}) => {
+  const session = new Session({
+    user: user._id,
+    platform,
+    ipAddress,
+    userAgent,
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * DAY),
+    refreshTokenHash: 'pending'
+  });
+
+  const refreshToken = buildRefreshToken(session._id);
+  session.refreshTokenHash = Session.hashToken(refreshToken);
+  await session.save();
+
+  return tokenResponse(session, refreshToken);
+};
+
+// Exchange a refresh token for a new pair; the old refresh token stops working.
+// The swap is a single conditional update, so of two concurrent refreshes
+// with the same token only one succeeds.
+const rotateSession = async (refreshToken, { ipAddress, userAgent, io } = {}) => {
+  const [sessionId] = String(refreshToken || '').split('.');
+  if (!/^[a-f0-9]{24}$/.test(sessionId)) {
+    throw sessionError('Invalid refresh token');
+  }
+
+  const presentedHash = Session.hashToken(refreshToken);
+  const nextRefreshToken = buildRefreshToken(sessionId);
+
+  const rotated = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      $set: {
+        previousTokenHash: presentedHash,
+        refreshTokenHash: Session.hashToken(nextRefreshToken),
+        lastUsedAt: new Date(),
+        ...(ipAddress && { ipAddress }),
+        ...(userAgent && { userAgent })
+      }
+    },
+    { new: true }
+  );
+  if (rotated) {
+    return { session: rotated, tokens: tokenResponse(rotated, nextRefreshToken) };
+  }
+
+  // Nothing matched: the session is gone, the token was replayed, or it is wrong
+  const session = await Session.findById(sessionId).select('+previousTokenHash');
+  if (!session || !session.isActive()) {
+    throw sessionError('Session expired or revoked');
+  }
+
+  if (session.previousTokenHash && presentedHash === session.previousTokenHash) {
+    await session.revoke('token_reuse');
+    disconnectSessions(io, { sessionId: session._id });
+
+    await recordActivity({
+      user: session.user,
+      action: 'security_alert',
+      description: 'Refresh token reuse detected; session revoked',
+      performedBy: session.user,
+      ipAddress,
+      userAgent,
+      metadata: { session: session._id, platform: session.platform }
+    });
+
+    throw sessionError('Refresh token reuse detected; session revoked');
+  }
+
+  throw sessionError('Invalid refresh token');
+};
+
+module.exports = {
+  sessionRoom,
+  accountRoom,
+  disconnectSessions,
+  createSession,
+  rotateSession
+};
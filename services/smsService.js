@@ -0,0 +1,35 @@
+const axios = require('axios');
+
+const SMS_TIMEOUT_MS = parseInt(process.env.SMS_TIMEOUT_MS) || 10000;
+
+// Send a text message through the configured HTTP SMS gateway, which receives
+// { to, message, sender } as JSON. Without SMS_GATEWAY_URL messages are only
+// logged. Never throws; the result says whether the message went out.
+const sendSms = async (to, message) => {
+  if (!process.env.SMS_GATEWAY_URL) {
+    console.log(`SMS gateway not configured; message to ${to} not sent`);
+    return { sent: false, error: 'SMS gateway not configured' };
+  }
+
+  try {
+    await axios.post(process.env.SMS_GATEWAY_URL, {
+      to,
+      message,
+      sender: process.env.SMS_SENDER_ID
+    }, {
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_GATEWAY_API_KEY && { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` })
+      },
+      timeout: SMS_TIMEOUT_MS
+    });
+    return { sent: true };
+  } catch (error) {
+    console.error(`SMS to ${to} failed:`, error.message);
+    return { sent: false, error: error.message };
+  }
+};
+
+module.exports = {
+  sendSms
+};
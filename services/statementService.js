@@ -0,0 +1,282 @@
+const moment = require('moment');
+const PDFDocument = require('pdfkit');
+const User = require('../models/User');
+const EmiPlan = require('../models/EmiPlan');
+const Payment = require('../models/Payment');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const formatDate = (date) => (date ? moment(date).format('YYYY-MM-DD') : '');
+
+const formatAmount = (amount) => (amount ? amount.toFixed(2) : '');
+
+// Chronological ledger of everything that changed the balance up to asOf
+const buildLedger = (plan, payments, asOf) => {
+  const entries = [];
+
+  plan.installments.forEach(installment => {
+    if (installment.dueDate <= asOf) {
+      entries.push({
+        date: installment.dueDate,
+        type: 'installment_due',
+        reference: `#${installment.number}`,
+        description: `Installment ${installment.number} due`,
+        debit: installment.amount,
+        credit: 0
+      });
+    }
+
+    installment.penalties.forEach(penalty => {
+      entries.push({
+        date: penalty.appliedAt || penalty.accruedFor,
+        type: 'penalty',
+        reference: `#${installment.number}`,
+        description: penalty.type === 'flat_fee' ? 'Late fee' : 'Daily late charge',
+        debit: penalty.amount,
+        credit: 0
+      });
+
+      if (penalty.waived) {
+        entries.push({
+          date: penalty.waivedAt,
+          type: 'penalty_waived',
+          reference: `#${installment.number}`,
+          description: `Late fee waived: ${penalty.waiveReason}`,
+          debit: 0,
+          credit: penalty.amount
+        });
+      }
+    });
+  });
+
+  payments.forEach(payment => {
+    entries.push({
+      date: payment.paidAt,
+      type: 'payment',
+      reference: payment.receiptNumber,
+      description: `Payment (${payment.method})`,
+      debit: 0,
+      credit: payment.amount
+    });
+
+    if (payment.status === 'voided') {
+      entries.push({
+        date: payment.voidedAt,
+        type: 'payment_voided',
+        reference: payment.receiptNumber,
+        description: `Payment voided: ${payment.voidReason}`,
+        debit: payment.amount,
+        credit: 0
+      });
+    }
+  });
+
+  entries.sort((a, b) => new Date(a.date) - new Date(b.date));
+
+  let balance = 0;
+  return entries.map(entry => {
+    balance = roundCurrency(balance + entry.debit - entry.credit);
+    return { ...entry, balance };
+  });
+};
+
+// Gather installments, payments and penalties for a customer's statement
+const buildStatement = async (userId, asOf = new Date()) => {
+  const user = await User.findById(userId).populate('shop', 'name shopId contactInfo address');
+  if (!user) {
+    return null;
+  }
+
+  const plan = await EmiPlan.findOne({ user: userId }).sort({ createdAt: -1 });
+  if (!plan) {
+    return { customer: user, plan: null };
+  }
+
+  plan.refreshStatuses(asOf);
+
+  const payments = await Payment.find({ plan: plan._id })
+    .populate('recordedBy', 'name')
+    .sort({ paidAt: 1 });
+
+  const overdueAmount = roundCurrency(
+    plan.installments
+      .filter(item => item.dueDate < asOf)
+      .reduce((sum, item) => sum + item.getOutstanding(), 0)
+  );
+
+  return {
+    generatedAt: asOf,
+    customer: {
+      _id: user._id,
+      name: user.name,
+      phone: user.phone,
+      email: user.email,
+      address: user.address
+    },
+    shop: user.shop,
+    plan: {
+      _id: plan._id,
+      principal: plan.principal,
+      interestRate: plan.interestRate,
+      tenureMonths: plan.tenureMonths,
+      monthlyEmi: plan.monthlyEmi,
+      startDate: plan.startDate,
+      status: plan.status
+    },
+    summary: {
+      totalAmount: plan.totalAmount,
+      lateFees: plan.lateFeeAmount,
+      paidAmount: plan.paidAmount,
+      outstandingBalance: plan.remainingAmount,
+      overdueAmount
+    },
+    installments: plan.installments.map(item => ({
+      number: item.number,
+      dueDate: item.dueDate,
+      amount: item.amount,
+      lateFee: item.lateFee,
+      paidAmount: item.paidAmount,
+      outstanding: item.getOutstanding(),
+      status: item.status,
+      paidAt: item.paidAt
+    })),
+    payments: payments.map(payment => ({
+      receiptNumber: payment.receiptNumber,
+      paidAt: payment.paidAt,
+      amount: payment.amount,
+      method: payment.method,
+      reference: payment.reference,
+      status: payment.status,
+      voidReason: payment.voidReason,
+      recordedBy: payment.recordedBy ? payment.recordedBy.name : undefined
+    })),
+    penalties: plan.installments.flatMap(item => item.penalties.map(penalty => ({
+      installmentNumber: item.number,
+      type: penalty.type,
+      amount: penalty.amount,
+      appliedAt: penalty.appliedAt,
+      waived: penalty.waived,
+      waivedAt: penalty.waivedAt,
+      waiveReason: penalty.waiveReason
+    }))),
+    ledger: buildLedger(plan, payments, asOf)
+  };
+};
+
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// CSV of the ledger, one row per balance change
+const renderCsv = (statement) => {
+  const header = ['Date', 'Type', 'Reference', 'Description', 'Debit', 'Credit', 'Balance'];
+  const rows = statement.ledger.map(entry => [
+    formatDate(entry.date),
+    entry.type,
+    entry.reference,
+    entry.description,
+    formatAmount(entry.debit),
+    formatAmount(entry.credit),
+    entry.balance.toFixed(2)
+  ]);
+
+  return [header, ...rows]
+    .map(row => row.map(escapeCsv).join(','))
+    .join('\n') + '\n';
+};
+
+// Write a PDF statement to the given stream
+const renderPdf = (statement, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  doc.pipe(stream);
+
+  const { customer, shop, plan, summary } = statement;
+
+  doc.fontSize(16).text(shop ? shop.name : 'EMI Statement', { align: 'center' });
+  if (shop && shop.contactInfo) {
+    doc.fontSize(9).text(shop.contactInfo.phone || '', { align: 'center' });
+  }
+  doc.moveDown();
+
+  doc.fontSize(12).text('EMI Statement');
+  doc.fontSize(9)
+    .text(`Customer: ${customer.name} (${customer.phone})`)
+    .text(`Generated: ${moment(statement.generatedAt).format('YYYY-MM-DD HH:mm')}`)
+    .text(`Plan: ${plan.tenureMonths} months x ${plan.monthlyEmi.toFixed(2)} at ${plan.interestRate}% (${plan.status})`);
+  doc.moveDown();
+
+  doc.fontSize(11).text('Summary');
+  doc.fontSize(9)
+    .text(`Total amount: ${summary.totalAmount.toFixed(2)}`)
+    .text(`Late fees: ${summary.lateFees.toFixed(2)}`)
+    .text(`Paid: ${summary.paidAmount.toFixed(2)}`)
+    .text(`Overdue: ${summary.overdueAmount.toFixed(2)}`)
+    .text(`Outstanding balance: ${summary.outstandingBalance.toFixed(2)}`);
+  doc.moveDown();
+
+  const table = (title, columns, rows) => {
+    doc.fontSize(11).text(title);
+    doc.moveDown(0.3);
+    const width = (doc.page.width - 80) / columns.length;
+
+    const line = (cells, bold) => {
+      if (doc.y > doc.page.height - 60) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+      cells.forEach((cell, index) => {
+        doc.text(String(cell), 40 + index * width, y, { width: width - 4 });
+      });
+      doc.x = 40;
+      doc.moveDown(0.2);
+    };
+
+    line(columns, true);
+    rows.forEach(row => line(row, false));
+    doc.font('Helvetica').moveDown();
+  };
+
+  table('Installments', ['#', 'Due date', 'Amount', 'Late fee', 'Paid', 'Outstanding', 'Status'],
+    statement.installments.map(item => [
+      item.number,
+      formatDate(item.dueDate),
+      item.amount.toFixed(2),
+      (item.lateFee || 0).toFixed(2),
+      item.paidAmount.toFixed(2),
+      item.outstanding.toFixed(2),
+      item.status
+    ])
+  );
+
+  table('Payments', ['Receipt', 'Date', 'Amount', 'Method', 'Status'],
+    statement.payments.map(payment => [
+      payment.receiptNumber,
+      formatDate(payment.paidAt),
+      payment.amount.toFixed(2),
+      payment.method,
+      payment.status
+    ])
+  );
+
+  if (statement.penalties.length > 0) {
+    table('Late fees', ['Installment', 'Applied', 'Type', 'Amount', 'Waived'],
+      statement.penalties.map(penalty => [
+        penalty.installmentNumber,
+        formatDate(penalty.appliedAt),
+        penalty.type,
+        penalty.amount.toFixed(2),
+        penalty.waived ? `Yes - ${penalty.waiveReason}` : 'No'
+      ])
+    );
+  }
+
+  doc.end();
+};
+
+module.exports = {
+  buildStatement,
+  renderCsv,
+  renderPdf
+};
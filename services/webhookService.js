@@ -0,0 +1,251 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { EVENTS, onEvent } = require('./eventBus');
+const { recordActivity } = require('./auditService');
+
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+// Retries back off exponentially: 30s, 1m, 2m, 4m, ...
+const RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+// A claimed delivery is hidden from the retry job for this long
+const CLAIM_LEASE_MS = WEBHOOK_TIMEOUT_MS * 3;
+// A webhook failing this many attempts in a row is disabled until re-enabled
+const DISABLE_AFTER_FAILURES = parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES) || 20;
+
+const TEST_EVENT = 'webhook.test';
+
+// Bus events forwarded to shop webhooks, keyed by bus event type
+const WEBHOOK_EVENT_NAMES = {
+  [EVENTS.DEVICE_LOCKED]: 'device.locked',
+  [EVENTS.DEVICE_UNLOCKED]: 'device.unlocked',
+  [EVENTS.DEVICE_REGISTERED]: 'device.registered',
+  [EVENTS.PAYMENT_RECORDED]: 'payment.recorded',
+  [EVENTS.PAYMENT_VOIDED]: 'payment.voided'
+};
+
+// Receivers verify with HMAC-SHA256(secret, "<timestamp>.<raw body>")
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const retryDelayMs = (attemptCount) => RETRY_BASE_SECONDS * 1000 * Math.pow(2, attemptCount - 1);
+
+const privateHostError = () => Object.assign(
+  new Error('Receiver address is local or private'),
+  { code: 'EPRIVATEHOST' }
+);
+
+// DNS lookup used for the delivery connection itself, so a hostname cannot
+// be re-pointed at an internal address after the URL was accepted
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (!Webhook.allowsPrivateHosts() && addresses.some(entry => Webhook.isPrivateAddress(entry.address))) {
+      return callback(privateHostError());
+    }
+
+    callback(null, address, family);
+  });
+};
+
+// Count a failed attempt and disable the webhook once it keeps failing
+const recordFailure = async (webhook) => {
+  const updated = await Webhook.findOneAndUpdate(
+    { _id: webhook._id },
+    { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }, $inc: { consecutiveFailures: 1 } },
+    { new: true }
+  );
+
+  if (!updated || updated.consecutiveFailures < DISABLE_AFTER_FAILURES) {
+    return;
+  }
+
+  const disabled = await Webhook.updateOne(
+    { _id: webhook._id, isActive: true },
+    { $set: { isActive: false, disabledAt: new Date() } }
+  );
+  if (disabled.modifiedCount === 0) {
+    return;
+  }
+
+  await recordActivity({
+    user: updated.createdBy,
+    shop: updated.shop,
+    action: 'webhook_disabled',
+    description: `Webhook disabled after ${updated.consecutiveFailures} consecutive failed deliveries: ${updated.url}`,
+    performedBy: updated.createdBy,
+    metadata: { webhook: updated._id, url: updated.url }
+  });
+};
+
+// Make one POST attempt for a delivery and schedule the retry if it fails
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+
+  if (!webhook || (!webhook.isActive && delivery.event !== TEST_EVENT)) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+    delivery.attempts.push({ attemptedAt: new Date(), error: 'Webhook disabled or deleted' });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { attemptedAt: new Date() };
+  const startedAt = Date.now();
+
+  try {
+    // Literal addresses skip the DNS lookup, so they are checked up front
+    if (!Webhook.isAllowedUrl(webhook.url)) {
+      throw privateHostError();
+    }
+
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'EMILocker-Webhooks/1.0',
+        'X-Webhook-Id': delivery._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      lookup: publicLookup,
+      // Only the status code is kept; the receiver's body is never stored
+      // or shown to the shop
+      responseType: 'stream',
+      validateStatus: () => true
+    });
+    response.data.destroy();
+
+    attempt.responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      attempt.error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    attempt.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  attempt.durationMs = Date.now() - startedAt;
+  delivery.attempts.push(attempt);
+
+  const succeeded = !attempt.error;
+  if (succeeded) {
+    delivery.status = 'succeeded';
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length >= MAX_ATTEMPTS || delivery.event === TEST_EVENT) {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = undefined;
+  } else {
+    delivery.nextAttemptAt = new Date(Date.now() + retryDelayMs(delivery.attempts.length));
+  }
+
+  await delivery.save();
+
+  if (succeeded) {
+    await Webhook.updateOne({ _id: webhook._id }, {
+      $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'succeeded', consecutiveFailures: 0 }
+    });
+  } else {
+    await recordFailure(webhook);
+  }
+
+  return delivery;
+};
+
+// Create a delivery already claimed for an immediate first attempt
+const createDelivery = async (webhook, event, data) => {
+  const delivery = new WebhookDelivery({
+    webhook: webhook._id,
+    shop: webhook.shop,
+    event,
+    nextAttemptAt: new Date(Date.now() + CLAIM_LEASE_MS)
+  });
+
+  delivery.payload = {
+    id: delivery._id,
+    event,
+    createdAt: new Date(),
+    shopId: webhook.shop,
+    data
+  };
+
+  return delivery.save();
+};
+
+// Fan a bus event out to every active webhook of the shop subscribed to it
+const dispatchEvent = async (event) => {
+  const name = WEBHOOK_EVENT_NAMES[event.type];
+  if (!name || !event.shopId) {
+    return [];
+  }
+
+  const webhooks = await Webhook.find({ shop: event.shopId, isActive: true, events: name });
+
+  const { type, shopId, timestamp, ...data } = event;
+  const deliveries = await Promise.all(webhooks.map(webhook => createDelivery(webhook, name, data)));
+
+  deliveries.forEach(delivery => {
+    attemptDelivery(delivery).catch(error => {
+      console.error(`Webhook delivery ${delivery._id} error:`, error);
+    });
+  });
+
+  return deliveries;
+};
+
+// Send a sample event to one webhook and wait for the result. Test events are
+// not retried.
+const sendTestEvent = async (webhook, sentBy) => {
+  const delivery = await createDelivery(webhook, TEST_EVENT, {
+    message: 'This is a test event from EMILocker.',
+    sentBy
+  });
+
+  return attemptDelivery(delivery);
+};
+
+// Claim and retry deliveries whose backoff has elapsed
+const retryDueDeliveries = async (limit = 50) => {
+  let retried = 0;
+
+  while (retried < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { $set: { nextAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+
+    if (!delivery) {
+      break;
+    }
+
+    await attemptDelivery(delivery);
+    retried++;
+  }
+
+  return { retried };
+};
+
+// Subscribe outbound webhooks to the event bus
+const startWebhookDispatcher = () => {
+  onEvent(dispatchEvent);
+};
+
+module.exports = {
+  signPayload,
+  dispatchEvent,
+  sendTestEvent,
+  retryDueDeliveries,
+  startWebhookDispatcher
+};